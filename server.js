@@ -5,6 +5,7 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 // const morgan = require('morgan');
 require('dotenv').config();
+const { requireTransactionSupport } = require('./src/utils/database');
 
 const app = express();
 
@@ -27,12 +28,17 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.set('trust proxy', 1); 
-// Database connection
+// Database connection. MONGO_URI must point at a replica set (or sharded
+// cluster): stock movements are written in transactions, see src/utils/database.js
 mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
 .then(() => console.log('MongoDB connected successfully'))
+.then(() => requireTransactionSupport(mongoose.connection).catch(err => {
+  console.error(err.message);
+  process.exit(1);
+}))
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -43,6 +49,14 @@ app.use('/api/transactions', require('./src/routes/transactions'));
 app.use('/api/reports', require('./src/routes/reports'));
 app.use('/api/users', require('./src/routes/users'));
 app.use('/api/schools', require('./src/routes/schools'));
+app.use('/api/custom-fields', require('./src/routes/customFields'));
+app.use('/api/trash', require('./src/routes/trash'));
+app.use('/api/kits', require('./src/routes/kits'));
+app.use('/api/reservations', require('./src/routes/reservations'));
+app.use('/api/stocktakes', require('./src/routes/stocktakes'));
+app.use('/api/assets', require('./src/routes/assets'));
+app.use('/api/loans', require('./src/routes/loans'));
+app.use('/api/classrooms', require('./src/routes/classrooms'));
 
 // Health check
 app.get('/api/health', (req, res) => {
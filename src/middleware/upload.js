@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { getStorageDir } = require('../utils/storage');
+
+// Wrap a multer handler so upload problems come back as 400s
+const handleUpload = (handler) => (req, res, next) => {
+  handler(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
+
+// Spreadsheet uploads for bulk import (kept in memory, parsed straight away)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(new Error('Only .csv and .xlsx files can be imported'));
+    }
+    cb(null, true);
+  }
+});
+
+const uploadImportFile = handleUpload(importUpload.single('file'));
+
+// Photos and documents attached to inventory items, written to local disk
+const ATTACHMENT_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf'
+];
+
+const attachmentUpload = multer({
+  storage: multer.diskStorage({
+    // Built from the item looked up before the upload (req.item), never from
+    // the raw route parameter
+    destination: (req, file, cb) => {
+      if (!req.item) {
+        return cb(new Error('Inventory item not found'));
+      }
+      const dir = path.join(getStorageDir(), 'inventory', req.user.school._id.toString(), req.item._id.toString());
+      fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+    },
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+      cb(null, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${ext}`);
+    }
+  }),
+  limits: { fileSize: (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error(`Unsupported file type. Allowed: ${ATTACHMENT_MIME_TYPES.join(', ')}`));
+    }
+    cb(null, true);
+  }
+});
+
+const uploadAttachment = handleUpload(attachmentUpload.single('file'));
+
+module.exports = { uploadImportFile, uploadAttachment };
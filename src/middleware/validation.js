@@ -1,4 +1,5 @@
 const { body, validationResult } = require('express-validator');
+const { findConversionError } = require('../utils/units');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -41,18 +42,60 @@ const validateRegister = [
   handleValidationErrors
 ];
 
-const validateInventory = [
+// Field rules shared by the inventory routes and the bulk importer
+const inventoryRules = [
   body('name')
     .trim()
     .isLength({ min: 1 })
     .withMessage('Item name is required'),
   body('quantity')
+    .if(body('locations').not().exists())
     .isInt({ min: 0 })
     .withMessage('Quantity must be a non-negative integer'),
+  body('locations')
+    .optional()
+    .isArray()
+    .withMessage('Locations must be an array')
+    .custom(locations => {
+      const names = locations.map(loc => String(loc?.name || '').trim());
+      return new Set(names).size === names.length;
+    })
+    .withMessage('Location names must be unique'),
+  body('locations.*.name')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location name is required'),
+  body('locations.*.quantity')
+    .isInt({ min: 0 })
+    .withMessage('Location quantity must be a non-negative integer'),
   body('unit')
     .trim()
     .isLength({ min: 1 })
     .withMessage('Unit is required'),
+  body('unitConversions')
+    .optional()
+    .isArray()
+    .withMessage('Unit conversions must be an array')
+    .bail()
+    .custom((conversions, { req }) => {
+      if (!conversions.every(conversion => conversion && typeof conversion === 'object')) {
+        throw new Error('Each unit conversion must be an object');
+      }
+      const error = findConversionError(String(req.body.unit || '').trim(), conversions);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body('unitConversions.*.unit')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Conversion unit is required'),
+  body('unitConversions.*.factor')
+    .isInt({ min: 1 })
+    .withMessage('Conversion factor must be a positive integer')
+    .toInt(),
+  body('unitConversions.*.of')
+    .optional({ values: 'falsy' })
+    .trim(),
   body('minThreshold')
     .optional()
     .isInt({ min: 0 })
@@ -61,6 +104,61 @@ const validateInventory = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Cost must be a non-negative number'),
+  body('trackLots')
+    .optional()
+    .isBoolean()
+    .withMessage('Track lots must be true or false'),
+  body('lotNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Lot number must be 1-100 characters'),
+  body('expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+    .toDate()
+];
+
+const validateInventory = [
+  ...inventoryRules,
+  handleValidationErrors
+];
+
+const validateVariant = [
+  body('variantAttributes')
+    .custom(value => value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).length > 0 &&
+      Object.values(value).every(attr => typeof attr === 'string' && attr.trim().length > 0))
+    .withMessage('Variant attributes (e.g. size, colour) are required'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Variant name must not be empty'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Quantity must be a non-negative integer'),
+  body('locations.*.name')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location name is required'),
+  body('locations.*.quantity')
+    .isInt({ min: 0 })
+    .withMessage('Location quantity must be a non-negative integer'),
+  body('minThreshold')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Minimum threshold must be a non-negative integer'),
+  body('maxThreshold')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Maximum threshold must be a non-negative integer'),
+  body('cost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cost must be a non-negative number'),
   handleValidationErrors
 ];
 
@@ -76,9 +174,13 @@ const validateCategory = [
   handleValidationErrors
 ];
 
+// A date without a time ("2024-03-15") means the end of that day, so a
+// reservation or loan runs through its last day
+const toEndOfDay = value => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+
 const validateTransaction = [
   body('type')
-    .isIn(['check-in', 'check-out', 'adjustment', 'transfer'])
+    .isIn(['check-in', 'check-out', 'adjustment', 'transfer', 'disposal'])
     .withMessage('Invalid transaction type'),
   body('inventory')
     .isMongoId()
@@ -86,19 +188,592 @@ const validateTransaction = [
   body('quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be a positive integer'),
+  body('unit')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Unit must not be empty'),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location must not be empty'),
+  body('fromLocation')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Source location must not be empty'),
+  body('toLocation')
+    .if(body('type').equals('transfer'))
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Destination location is required for transfers'),
+  body('lotNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Lot number must be 1-100 characters'),
+  body('expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+    .toDate(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+  body('reservation')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid reservation ID is required'),
+  body('borrower')
+    .optional()
+    .custom((borrower, { req }) => req.body.type === 'check-out')
+    .withMessage('Only check-outs can be loans')
+    .bail()
+    .isObject()
+    .withMessage('Borrower must be an object'),
+  body('borrower.type')
+    .if(body('borrower').exists())
+    .isIn(['user', 'classroom', 'person'])
+    .withMessage('Borrower type must be user, classroom or person'),
+  body('borrower.user')
+    .if(body('borrower.type').equals('user'))
+    .isMongoId()
+    .withMessage('Valid borrower user ID is required'),
+  body('borrower.classroom')
+    .if(body('borrower.type').equals('classroom'))
+    .isMongoId()
+    .withMessage('Valid borrower classroom ID is required'),
+  body('borrower.name')
+    .if(body('borrower.type').equals('person'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Borrower name is required and must be less than 100 characters'),
+  body('borrower.contact')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Borrower contact must be less than 100 characters'),
+  body('dueDate')
+    .if(body('borrower').exists())
+    .isISO8601()
+    .withMessage('Due date is required for loans and must be a valid date')
+    .bail()
+    .customSanitizer(toEndOfDay)
+    .toDate()
+    .custom(dueDate => dueDate >= new Date())
+    .withMessage('Due date must not be in the past'),
+  body('loan')
+    .optional()
+    .custom((loan, { req }) => req.body.type === 'check-in')
+    .withMessage('Only check-ins can return a loan')
+    .bail()
+    .isMongoId()
+    .withMessage('Valid loan ID is required'),
+  body('classroom')
+    .optional()
+    .custom((classroom, { req }) => req.body.type === 'check-out')
+    .withMessage('Only check-outs can name a receiving classroom')
+    .bail()
+    .isMongoId()
+    .withMessage('Valid classroom ID is required'),
+  handleValidationErrors
+];
+
+const validateScan = [
+  body('type')
+    .isIn(['check-in', 'check-out'])
+    .withMessage('Scan type must be check-in or check-out'),
+  body('barcode')
+    .if(body('items').not().exists())
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Barcode is required'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty list of scans'),
+  body('items.*.barcode')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Barcode is required for every scan'),
+  body('items.*.count')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Scan count must be a positive integer'),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location must not be empty'),
+  body('lotNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Lot number must be 1-100 characters'),
+  body('expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+    .toDate(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+  body('classroom')
+    .optional()
+    .custom((classroom, { req }) => req.body.type === 'check-out')
+    .withMessage('Only check-outs can name a receiving classroom')
+    .bail()
+    .isMongoId()
+    .withMessage('Valid classroom ID is required'),
+  handleValidationErrors
+];
+
+const validateBatchTransaction = [
+  body('lines')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Lines must be a list of 1 to 200 movements'),
+  body('lines.*.type')
+    .isIn(['check-in', 'check-out', 'adjustment', 'transfer', 'disposal'])
+    .withMessage('Invalid transaction type'),
+  body('lines.*.inventory')
+    .isMongoId()
+    .withMessage('Valid inventory ID is required'),
+  body('lines.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+    .toInt(),
+  body('lines.*.unit')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Unit must not be empty'),
+  body('lines.*.location')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location must not be empty'),
+  body('lines.*.fromLocation')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Source location must not be empty'),
+  body('lines.*.toLocation')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Destination location must not be empty'),
+  // Checked per line: a condition on lines.*.type would only hold when every
+  // line of the batch is a transfer
+  body('lines.*')
+    .custom(line => line?.type !== 'transfer' || Boolean(String(line.toLocation || '').trim()))
+    .withMessage('Destination location is required for transfers'),
+  body('lines.*.lotNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Lot number must be 1-100 characters'),
+  body('lines.*.expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+    .toDate(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference must be less than 100 characters'),
+  body('classroom')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid classroom ID is required'),
+  handleValidationErrors
+];
+
+const validateWriteOff = [
+  body('inventory')
+    .optional()
+    .isArray()
+    .withMessage('Inventory must be a list of item IDs'),
+  body('inventory.*')
+    .isMongoId()
+    .withMessage('Valid inventory ID is required'),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location must not be empty'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+  handleValidationErrors
+];
+
+const validateCustomField = [
+  body('key')
+    .optional()
+    .trim()
+    .matches(/^[a-z][a-zA-Z0-9_]*$/)
+    .withMessage('Key must start with a lowercase letter and contain only letters, digits and underscores'),
+  body('label')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Label is required'),
+  body('type')
+    .isIn(['text', 'number', 'date', 'select'])
+    .withMessage('Type must be text, number, date or select'),
+  body('options')
+    .if(body('type').equals('select'))
+    .isArray({ min: 1 })
+    .withMessage('Select fields need at least one option'),
+  body('options.*')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Options must not be empty'),
+  body('category')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Category must be a valid ID'),
+  body('required')
+    .optional()
+    .isBoolean()
+    .withMessage('Required must be true or false'),
+  handleValidationErrors
+];
+
+const validateMerge = [
+  body('target')
+    .isMongoId()
+    .withMessage('Valid target item ID is required'),
+  body('sources')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Sources must be a list of 1 to 50 items')
+    .bail()
+    .custom((sources, { req }) => {
+      const ids = sources.map(String);
+      return new Set(ids).size === ids.length && !ids.includes(String(req.body.target));
+    })
+    .withMessage('Sources must be distinct and must not include the target'),
+  body('sources.*')
+    .isMongoId()
+    .withMessage('Valid source item ID is required'),
+  handleValidationErrors
+];
+
+const validateKit = [
+  body('name')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Kit name is required'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('components')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Components must be a list of 1 to 100 items')
+    .bail()
+    .custom(components => {
+      const ids = components.map(component => String(component?.inventory));
+      return new Set(ids).size === ids.length;
+    })
+    .withMessage('Each item can only be listed once in a kit'),
+  body('components.*.inventory')
+    .isMongoId()
+    .withMessage('Valid inventory ID is required'),
+  body('components.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Component quantity must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateKitCheckout = [
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Quantity must be between 1 and 1000 kits')
+    .toInt(),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location must not be empty'),
   body('reason')
     .optional()
     .trim()
     .isLength({ max: 500 })
     .withMessage('Reason must be less than 500 characters'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference must be less than 100 characters'),
+  body('classroom')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid classroom ID is required'),
+  handleValidationErrors
+];
+
+const validateReservation = [
+  body('inventory')
+    .isMongoId()
+    .withMessage('Valid inventory ID is required'),
+  body('quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+    .toInt(),
+  body('purpose')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Purpose is required and must be less than 200 characters'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date')
+    .toDate(),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .customSanitizer(toEndOfDay)
+    .toDate()
+    .custom((endDate, { req }) => !(req.body.startDate instanceof Date) || endDate >= req.body.startDate)
+    .withMessage('End date must be on or after the start date')
+    .custom(endDate => endDate >= new Date())
+    .withMessage('End date must not be in the past'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters'),
+  handleValidationErrors
+];
+
+const validateStocktake = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Stocktake name is required and must be less than 100 characters'),
+  body('category')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('location')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location must not be empty'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters'),
+  handleValidationErrors
+];
+
+const validateStocktakeCounts = [
+  body('counts')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Counts must be a list of 1 to 500 entries'),
+  body('counts.*.line')
+    .if(body('counts.*.inventory').not().exists())
+    .isMongoId()
+    .withMessage('Each count needs a valid line or inventory ID'),
+  body('counts.*.inventory')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid inventory ID is required'),
+  body('counts.*.location')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location must not be empty'),
+  body('counts.*.countedQuantity')
+    .isInt({ min: 0 })
+    .withMessage('Counted quantity must be zero or a positive integer')
+    .toInt(),
+  body('counts.*.lotNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Lot number must be 1-100 characters'),
+  body('counts.*.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters'),
+  handleValidationErrors
+];
+
+const assetRules = [
+  body('serialNumber')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Serial number is required and must be less than 100 characters'),
+  body('assetTag')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Asset tag must be less than 50 characters'),
+  body('condition')
+    .optional()
+    .isIn(['new', 'good', 'fair', 'poor', 'damaged'])
+    .withMessage('Condition must be new, good, fair, poor or damaged'),
+  body('purchaseDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Purchase date must be a valid date')
+    .toDate(),
+  body('purchaseCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Purchase cost must be a non-negative number')
+    .toFloat(),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location must not be empty'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+const validateAsset = [
+  body('inventory')
+    .isMongoId()
+    .withMessage('Valid inventory ID is required'),
+  ...assetRules,
+  handleValidationErrors
+];
+
+const validateAssetUpdate = [
+  ...assetRules,
+  handleValidationErrors
+];
+
+const assetActionRules = [
+  body('condition')
+    .optional()
+    .isIn(['new', 'good', 'fair', 'poor', 'damaged'])
+    .withMessage('Condition must be new, good, fair, poor or damaged'),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Location must not be empty'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+const validateAssetIssue = [
+  body('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  body('classroom')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid classroom ID is required'),
+  body()
+    .custom(value => Boolean(value.user || value.classroom))
+    .withMessage('Issue to a user or a classroom'),
+  ...assetActionRules,
+  handleValidationErrors
+];
+
+const validateAssetAction = [
+  ...assetActionRules,
+  handleValidationErrors
+];
+
+const validateLoanExtension = [
+  body('dueDate')
+    .isISO8601()
+    .withMessage('Due date must be a valid date')
+    .bail()
+    .customSanitizer(toEndOfDay)
+    .toDate()
+    .custom(dueDate => dueDate >= new Date())
+    .withMessage('Due date must not be in the past'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters'),
+  handleValidationErrors
+];
+
+const validateClassroom = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Classroom name is required and must be less than 100 characters'),
+  body('kind')
+    .optional()
+    .isIn(['classroom', 'department'])
+    .withMessage('Kind must be classroom or department'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('inCharge')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Valid user ID is required for the person in charge'),
   handleValidationErrors
 ];
 
 module.exports = {
   validateLogin,
   validateRegister,
+  inventoryRules,
   validateInventory,
+  validateVariant,
   validateCategory,
   validateTransaction,
+  validateScan,
+  validateBatchTransaction,
+  validateWriteOff,
+  validateCustomField,
+  validateMerge,
+  validateKit,
+  validateKitCheckout,
+  validateReservation,
+  validateStocktake,
+  validateStocktakeCounts,
+  validateAsset,
+  validateAssetUpdate,
+  validateAssetIssue,
+  validateAssetAction,
+  validateLoanExtension,
+  validateClassroom,
   handleValidationErrors
 };
\ No newline at end of file
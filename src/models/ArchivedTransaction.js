@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const Transaction = require('./Transaction');
+
+// Transactions moved out of the live collection, e.g. before their item is
+// purged from the trash. Same shape as Transaction plus when it was archived.
+const archivedTransactionSchema = Transaction.schema.clone();
+
+archivedTransactionSchema.add({
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+module.exports = mongoose.model('ArchivedTransaction', archivedTransactionSchema);
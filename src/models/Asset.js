@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const ASSET_STATUSES = ['in-store', 'issued', 'under-repair', 'retired'];
+const ASSET_CONDITIONS = ['new', 'good', 'fair', 'poor', 'damaged'];
+
+// One serial-numbered unit of durable equipment (a laptop, projector,
+// tricycle, ...) of an inventory item. Every change is recorded as an AssetLog.
+const assetSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  serialNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // School's own label, e.g. "LAP-014"
+  assetTag: {
+    type: String,
+    trim: true
+  },
+  condition: {
+    type: String,
+    enum: ASSET_CONDITIONS,
+    default: 'good'
+  },
+  purchaseDate: Date,
+  purchaseCost: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ASSET_STATUSES,
+    default: 'in-store'
+  },
+  // Store location while in store
+  location: {
+    type: String,
+    trim: true
+  },
+  // Who or where the asset is issued to
+  holder: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    classroom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Classroom'
+    }
+  },
+  issuedAt: Date,
+  retiredAt: Date,
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Serial numbers are unique within a school, ignoring case
+assetSchema.index(
+  { school: 1, serialNumber: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+assetSchema.index({ inventory: 1, status: 1 });
+assetSchema.index({ 'holder.user': 1 });
+
+// Version-checked like inventory items, so two people cannot issue the same
+// asset at once
+assetSchema.pre('save', function(next) {
+  if (!this.isNew) this.increment();
+  next();
+});
+
+/**
+ * Asset counts of the given items by status, as a Map of item id ->
+ * { total, in-store, issued, under-repair, retired }.
+ */
+assetSchema.statics.countByInventory = async function(inventoryIds) {
+  const rows = await this.aggregate([
+    { $match: { inventory: { $in: inventoryIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+    { $group: { _id: { inventory: '$inventory', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map();
+  rows.forEach(row => {
+    const id = row._id.inventory.toString();
+    if (!counts.has(id)) {
+      counts.set(id, { total: 0, ...Object.fromEntries(ASSET_STATUSES.map(status => [status, 0])) });
+    }
+    counts.get(id)[row._id.status] = row.count;
+    counts.get(id).total += row.count;
+  });
+  return counts;
+};
+
+assetSchema.statics.STATUSES = ASSET_STATUSES;
+assetSchema.statics.CONDITIONS = ASSET_CONDITIONS;
+
+module.exports = mongoose.model('Asset', assetSchema);
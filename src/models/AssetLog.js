@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Ledger of an asset: one entry per change, never edited afterwards
+const assetLogSchema = new mongoose.Schema({
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    required: true
+  },
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['register', 'update', 'issue', 'return', 'repair', 'repaired', 'retire'],
+    required: true
+  },
+  previousStatus: String,
+  newStatus: {
+    type: String,
+    required: true
+  },
+  previousHolder: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    classroom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Classroom'
+    }
+  },
+  newHolder: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    classroom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Classroom'
+    }
+  },
+  // Field edits, as on item history
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  reason: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+assetLogSchema.index({ asset: 1, createdAt: -1 });
+assetLogSchema.index({ school: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AssetLog', assetLogSchema);
@@ -22,6 +22,16 @@ const categorySchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set by soft delete; cleared on restore from the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
@@ -30,6 +40,13 @@ const categorySchema = new mongoose.Schema({
 // Compound index for school and name uniqueness
 categorySchema.index({ school: 1, name: 1 }, { unique: true });
 
+// Every save of an existing category bumps its version (__v) for
+// version-checked updates
+categorySchema.pre('save', function(next) {
+  if (!this.isNew) this.increment();
+  next();
+});
+
 // Virtual for item count
 categorySchema.virtual('itemCount', {
   ref: 'Inventory',
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A classroom or department that stock is checked out to, for consumption
+// reporting
+const classroomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['classroom', 'department'],
+    default: 'classroom'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Teacher or head responsible
+  inCharge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique among a school's active classrooms; a deleted classroom's
+// name can be used again
+classroomSchema.index(
+  { school: 1, name: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('Classroom', classroomSchema);
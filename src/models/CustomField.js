@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const customFieldSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  // Field applies to one category only; null applies it to every item
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[a-z][a-zA-Z0-9_]*$/
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'number', 'date', 'select'],
+    required: true
+  },
+  options: [{
+    type: String,
+    trim: true
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are unique among a school's active fields so filters and exports stay
+// unambiguous; the key of a deleted field can be used again
+customFieldSchema.index(
+  { school: 1, key: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
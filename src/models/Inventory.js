@@ -1,4 +1,110 @@
 const mongoose = require('mongoose');
+const { resolveUnitFactor, findConversionError } = require('../utils/units');
+
+const DEFAULT_LOCATION = 'Main Store';
+
+// Stock held at a single place (store room, classroom cupboard, ...)
+const stockLocationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+// A batch of stock received together, for items that expire
+const lotSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expiryDate: Date,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A photo or document stored on local disk (see utils/storage)
+const attachmentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['photo', 'document'],
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    // Where the file lives on disk is not part of the API
+    transform: (doc, ret) => {
+      delete ret.storageKey;
+      return ret;
+    }
+  }
+});
+
+// A larger unit the item is bought or issued in: 1 `unit` = `factor` of `of`
+// (the item's base unit when `of` is empty), e.g. 1 box = 8 pieces
+const unitConversionSchema = new mongoose.Schema({
+  unit: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  factor: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Conversion factor must be a whole number'
+    }
+  },
+  of: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
 
 const inventorySchema = new mongoose.Schema({
   name: {
@@ -20,6 +126,21 @@ const inventorySchema = new mongoose.Schema({
     ref: 'School',
     required: true
   },
+  // Variants (size, colour, ...) point at their parent item. A parent holds
+  // no stock itself; its quantity is the rolled-up total of its variants.
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    default: null
+  },
+  hasVariants: {
+    type: Boolean,
+    default: false
+  },
+  variantAttributes: {
+    type: Map,
+    of: String
+  },
   quantity: {
     type: Number,
     required: true,
@@ -31,6 +152,7 @@ const inventorySchema = new mongoose.Schema({
     required: true,
     default: 'pieces'
   },
+  unitConversions: [unitConversionSchema],
   minThreshold: {
     type: Number,
     default: 5
@@ -49,18 +171,49 @@ const inventorySchema = new mongoose.Schema({
     contact: String,
     email: String
   },
-  location: {
-    type: String,
-    trim: true
+  locations: [stockLocationSchema],
+  // Lot-tracked items keep their stock per lot as well; lot quantities
+  // always add up to the item total
+  trackLots: {
+    type: Boolean,
+    default: false
+  },
+  lots: [lotSchema],
+  // Items with serialized assets hold what is in store: their stock is counted
+  // from the in-store assets (see rollUpAssets) and never moved directly
+  trackAssets: {
+    type: Boolean,
+    default: false
   },
   barcode: {
     type: String,
     trim: true
   },
+  attachments: [attachmentSchema],
+  // Values of the school's custom fields, keyed by CustomField.key
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  },
+  // Attachment shown as the item's picture
+  thumbnail: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set by soft delete; cleared on restore from the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -75,6 +228,19 @@ inventorySchema.index({ category: 1 });
 inventorySchema.index({ name: 'text', description: 'text' });
 inventorySchema.index({ quantity: 1 });
 inventorySchema.index({ barcode: 1 });
+// Barcodes are unique among a school's active items
+inventorySchema.index(
+  { school: 1, barcode: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $gt: '' }, isActive: true } }
+);
+inventorySchema.index({ 'locations.name': 1 });
+inventorySchema.index({ parent: 1 });
+inventorySchema.index({ 'lots.expiryDate': 1 });
+// Sort keys of the inventory list (see INVENTORY_SORT_FIELDS)
+inventorySchema.index({ school: 1, name: 1, _id: 1 });
+inventorySchema.index({ school: 1, quantity: 1, _id: 1 });
+inventorySchema.index({ school: 1, createdAt: 1, _id: 1 });
+inventorySchema.index({ school: 1, updatedAt: 1, _id: 1 });
 
 // Virtual for stock status
 inventorySchema.virtual('stockStatus').get(function() {
@@ -89,10 +255,136 @@ inventorySchema.virtual('totalValue').get(function() {
   return this.quantity * this.cost;
 });
 
-// Update lastUpdated on save
+// Items saved before locations existed kept their stock as a plain quantity
+// with an optional free-text `location`; that place becomes their first
+// location (the default location when none was recorded)
+inventorySchema.methods.migrateLegacyStock = function() {
+  if (this.hasVariants || this.locations.length > 0 || !(this.quantity > 0)) return;
+  const legacyLocation = this.get('location');
+  const name = typeof legacyLocation === 'string' && legacyLocation.trim() ? legacyLocation.trim() : DEFAULT_LOCATION;
+  this.locations = [{ name, quantity: this.quantity }];
+};
+
+// Quantity held at a named location (0 if the item is not stocked there)
+inventorySchema.methods.getLocationQuantity = function(name) {
+  this.migrateLegacyStock();
+  const entry = this.locations.find(loc => loc.name === name);
+  return entry ? entry.quantity : 0;
+};
+
+// Add (or remove, with a negative delta) stock at a named location
+inventorySchema.methods.adjustLocationQuantity = function(name, delta) {
+  this.migrateLegacyStock();
+  let entry = this.locations.find(loc => loc.name === name);
+  if (!entry) {
+    this.locations.push({ name, quantity: 0 });
+    entry = this.locations[this.locations.length - 1];
+  }
+  entry.quantity += delta;
+  this.quantity = this.locations.reduce((sum, loc) => sum + loc.quantity, 0);
+  return entry.quantity;
+};
+
+// Pick the location a movement applies to: the one requested, or the only
+// location the item is stocked in. Returns null when it is ambiguous.
+inventorySchema.methods.resolveLocation = function(name) {
+  this.migrateLegacyStock();
+  if (name) return name;
+  if (this.locations.length === 0) return DEFAULT_LOCATION;
+  if (this.locations.length === 1) return this.locations[0].name;
+  return null;
+};
+
+// Base units in one of the item's units, or null for an unknown unit
+inventorySchema.methods.getUnitFactor = function(unit) {
+  if (!unit) return 1;
+  return resolveUnitFactor(this.unit, this.unitConversions, unit);
+};
+
+// Conversions must each lead back to the base unit
+inventorySchema.pre('validate', function(next) {
+  const error = findConversionError(this.unit, this.unitConversions);
+  if (error) {
+    this.invalidate('unitConversions', error);
+  }
+  next();
+});
+
+// Keep the item total in sync with its per-location balances. Items saved
+// before locations existed get their stock moved into their old location.
+inventorySchema.pre('validate', function(next) {
+  if (this.hasVariants) return next();
+  this.migrateLegacyStock();
+  this.quantity = this.locations.reduce((sum, loc) => sum + loc.quantity, 0);
+  
+  // Stock held before lot tracking was switched on becomes an opening lot
+  if (this.trackLots && this.lots.length === 0 && this.quantity > 0) {
+    this.lots = [{ lotNumber: 'OPENING', quantity: this.quantity }];
+  }
+  next();
+});
+
+// Update lastUpdated on save. Every save of an existing item also bumps its
+// version (__v), so version-checked updates notice stock movements too.
 inventorySchema.pre('save', function(next) {
   this.lastUpdated = new Date();
+  if (!this.isNew) this.increment();
   next();
 });
 
+// Keep a parent's quantity equal to the total of its active variants
+inventorySchema.statics.rollUpVariants = async function(parentId, session = null) {
+  const [totals] = await this.aggregate([
+    { $match: { parent: parentId, isActive: true } },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]).session(session);
+  
+  await this.updateOne(
+    { _id: parentId },
+    { $set: { quantity: totals ? totals.quantity : 0, lastUpdated: new Date() }, $inc: { __v: 1 } },
+    { session }
+  );
+};
+
+// Keep an asset-tracked item's stock equal to its in-store assets, per location
+inventorySchema.statics.rollUpAssets = async function(inventoryId, session = null) {
+  const totals = await mongoose.model('Asset').aggregate([
+    { $match: { inventory: inventoryId, status: 'in-store' } },
+    { $group: { _id: { $ifNull: ['$location', DEFAULT_LOCATION] }, quantity: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]).session(session);
+  
+  const item = await this.findOneAndUpdate(
+    { _id: inventoryId },
+    {
+      $set: {
+        locations: totals.map(total => ({ name: total._id, quantity: total.quantity })),
+        quantity: totals.reduce((sum, total) => sum + total.quantity, 0),
+        lastUpdated: new Date()
+      },
+      $inc: { __v: 1 }
+    },
+    { session, new: true }
+  );
+  if (item && item.parent) {
+    await this.rollUpVariants(item.parent, session);
+  }
+};
+
+inventorySchema.post('save', async function() {
+  if (this.parent) {
+    await this.constructor.rollUpVariants(this.parent, this.$session());
+  }
+});
+
+// Another active item in the school already using this barcode, if any
+inventorySchema.statics.findBarcodeConflict = function(schoolId, barcode, excludeId) {
+  if (!barcode || !barcode.trim()) return Promise.resolve(null);
+  const query = { school: schoolId, barcode: barcode.trim(), isActive: true };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.findOne(query).select('name barcode');
+};
+
+inventorySchema.statics.DEFAULT_LOCATION = DEFAULT_LOCATION;
+
 module.exports = mongoose.model('Inventory', inventorySchema);
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Field-level change to an inventory item made outside of a stock transaction
+const inventoryEditSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['update', 'delete', 'restore', 'merge'],
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Adjustment transactions created by the same edit
+  transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }]
+}, {
+  timestamps: true
+});
+
+inventoryEditSchema.index({ inventory: 1, createdAt: 1 });
+inventoryEditSchema.index({ school: 1 });
+
+module.exports = mongoose.model('InventoryEdit', inventoryEditSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// An inventory item and how many of it (in its base unit) go into one kit
+const kitComponentSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+// A bundle handed out as one, e.g. "Art activity kit" or "Welcome pack"
+const kitSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  components: {
+    type: [kitComponentSchema],
+    validate: {
+      validator: components => components.length > 0,
+      message: 'A kit needs at least one component'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+kitSchema.index({ school: 1 });
+kitSchema.index({ 'components.inventory': 1 });
+
+/**
+ * Attach to each kit the number of complete kits its components' stock can
+ * make (`available`), overall or at one location, and the component that
+ * runs out first (`limitedBy`). Stock held by reservations is not counted.
+ * Inactive or missing components, and components only issued as assets, make
+ * a kit unavailable.
+ *
+ * Without a location the figure adds up each component's stock across all
+ * its locations, while a check-out takes each component from one location;
+ * pass the check-out's location for a figure it can rely on.
+ */
+kitSchema.statics.withAvailability = async function(kits, location = null) {
+  const Inventory = mongoose.model('Inventory');
+  const componentId = component => String(component.inventory._id || component.inventory);
+  const ids = [...new Set(kits.flatMap(kit => kit.components.map(componentId)))];
+  const items = await Inventory.find({ _id: { $in: ids }, isActive: true })
+    .select('name unit quantity locations hasVariants trackAssets');
+  const byId = new Map(items.map(item => [item._id.toString(), item]));
+  const reserved = await mongoose.model('Reservation').reservedQuantities(items.map(item => item._id));
+
+  return kits.map(kit => {
+    let available = Infinity;
+    let limitedBy = null;
+
+    const components = kit.components.map(component => {
+      const id = componentId(component);
+      const item = byId.get(id);
+      const unreserved = item ? Math.max(0, item.quantity - (reserved.get(id) || 0)) : 0;
+      const inStock = !item || item.hasVariants || item.trackAssets
+        ? 0
+        : Math.min(unreserved, location ? item.getLocationQuantity(location) : item.quantity);
+      const makes = Math.floor(inStock / component.quantity);
+
+      if (makes < available) {
+        available = makes;
+        limitedBy = id;
+      }
+
+      return {
+        inventory: id,
+        name: item ? item.name : null,
+        unit: item ? item.unit : null,
+        quantity: component.quantity,
+        inStock,
+        makes
+      };
+    });
+
+    return {
+      ...kit.toJSON(),
+      components,
+      available: Number.isFinite(available) ? available : 0,
+      limitedBy
+    };
+  });
+};
+
+module.exports = mongoose.model('Kit', kitSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// Stock lent out that is expected back, e.g. story books, sports equipment or
+// cameras. Opened by a check-out that names a borrower and due date; check-ins
+// against the loan return it, and it closes once everything is back.
+const loanSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  borrower: {
+    type: {
+      type: String,
+      enum: ['user', 'classroom', 'person'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    classroom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Classroom'
+    },
+    // Person's name; a user's or classroom's name at the time of the loan
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    contact: {
+      type: String,
+      trim: true
+    }
+  },
+  // In the item's base unit
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  // Where the stock was taken from, and the lots it came out of
+  location: String,
+  lots: [{
+    _id: false,
+    lotNumber: String,
+    expiryDate: Date,
+    quantity: Number
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'returned'],
+    default: 'open'
+  },
+  loanedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  checkoutTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  returnTransactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  returnedAt: Date,
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+loanSchema.index({ school: 1, status: 1, dueDate: 1 });
+loanSchema.index({ inventory: 1, status: 1 });
+loanSchema.index({ 'borrower.user': 1 });
+loanSchema.index({ 'borrower.classroom': 1 });
+
+// Quantity still out on loan
+loanSchema.virtual('outstanding').get(function() {
+  return Math.max(0, this.quantity - this.returnedQuantity);
+});
+
+loanSchema.virtual('isOverdue').get(function() {
+  return this.status === 'open' && this.dueDate < new Date();
+});
+
+// Record a return; the loan closes once everything is back
+loanSchema.methods.recordReturn = function(quantity, transactionId) {
+  this.returnedQuantity += quantity;
+  this.returnTransactions.push(transactionId);
+  if (this.returnedQuantity >= this.quantity) {
+    this.status = 'returned';
+    this.returnedAt = new Date();
+  }
+};
+
+module.exports = mongoose.model('Loan', loanSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Stock set aside for an upcoming activity or event, e.g. Annual Day or a
+// field trip. The items stay in the store; an active reservation holds its
+// remaining quantity until it is checked out, cancelled or its end date passes.
+const reservationSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  // In the item's base unit
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Checked out against this reservation so far
+  fulfilled: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  purpose: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'fulfilled', 'cancelled', 'expired'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+reservationSchema.index({ school: 1, status: 1, endDate: 1 });
+reservationSchema.index({ inventory: 1, status: 1 });
+
+reservationSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after the start date');
+  }
+  if (this.fulfilled > this.quantity) {
+    this.invalidate('quantity', 'Quantity cannot be less than what has already been checked out');
+  }
+  next();
+});
+
+// Quantity still held for this reservation
+reservationSchema.virtual('remaining').get(function() {
+  return Math.max(0, this.quantity - this.fulfilled);
+});
+
+// Record a check-out made against this reservation
+reservationSchema.methods.fulfil = function(quantity) {
+  this.fulfilled = Math.min(this.quantity, this.fulfilled + quantity);
+  if (this.fulfilled >= this.quantity) {
+    this.status = 'fulfilled';
+  }
+};
+
+// Mark active reservations whose end date has passed as expired
+reservationSchema.statics.expireEnded = function(filter = {}) {
+  return this.updateMany(
+    { ...filter, status: 'active', endDate: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+/**
+ * Quantity held by active reservations for each of the given items, as a Map
+ * of item id -> remaining quantity. Reservations past their end date no longer
+ * hold stock even before they are marked expired. `exclude` leaves out one
+ * reservation, e.g. the one a check-out is fulfilling.
+ */
+reservationSchema.statics.reservedQuantities = async function(inventoryIds, exclude = null) {
+  const match = {
+    inventory: { $in: inventoryIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+    status: 'active',
+    endDate: { $gte: new Date() }
+  };
+  if (exclude) {
+    match._id = { $ne: new mongoose.Types.ObjectId(String(exclude)) };
+  }
+
+  const totals = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$inventory',
+        reserved: { $sum: { $max: [0, { $subtract: ['$quantity', '$fulfilled'] }] } }
+      }
+    }
+  ]);
+  return new Map(totals.map(total => [total._id.toString(), total.reserved]));
+};
+
+module.exports = mongoose.model('Reservation', reservationSchema);
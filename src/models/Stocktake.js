@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+// One item at one location to be counted. System quantity and cost are frozen
+// when the session starts so the variance is against what was on record then.
+const stocktakeLineSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  unit: String,
+  location: {
+    type: String,
+    required: true
+  },
+  systemQuantity: {
+    type: Number,
+    required: true
+  },
+  cost: {
+    type: Number,
+    default: 0
+  },
+  countedQuantity: {
+    type: Number,
+    min: 0
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedAt: Date,
+  // Lot that a surplus of a lot-tracked item is received into
+  lotNumber: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+});
+
+// A physical count (cycle count) of part of the store, e.g. one category or
+// one location. Counters enter counted quantities line by line; approving the
+// session posts every difference as an adjustment transaction.
+const stocktakeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  // Posted adjustments carry this as their reference
+  reference: {
+    type: String,
+    required: true
+  },
+  scope: {
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    location: String
+  },
+  status: {
+    type: String,
+    enum: ['counting', 'approved', 'cancelled'],
+    default: 'counting'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  lines: [stocktakeLineSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+stocktakeSchema.index({ school: 1, createdAt: -1 });
+
+/**
+ * Variance of each line (counted - system) and its value at the frozen cost,
+ * with totals. Lines not counted yet have a null variance and are left out of
+ * the totals.
+ */
+stocktakeSchema.methods.getVariance = function() {
+  const lines = this.lines.map(line => {
+    const counted = line.countedQuantity !== undefined && line.countedQuantity !== null;
+    const variance = counted ? line.countedQuantity - line.systemQuantity : null;
+    return {
+      _id: line._id,
+      inventory: line.inventory,
+      name: line.name,
+      unit: line.unit,
+      location: line.location,
+      systemQuantity: line.systemQuantity,
+      countedQuantity: counted ? line.countedQuantity : null,
+      variance,
+      cost: line.cost,
+      valueImpact: counted ? variance * line.cost : null,
+      countedBy: line.countedBy,
+      countedAt: line.countedAt,
+      notes: line.notes
+    };
+  });
+
+  const counted = lines.filter(line => line.variance !== null);
+  const differing = counted.filter(line => line.variance !== 0);
+  return {
+    lines,
+    summary: {
+      lines: lines.length,
+      counted: counted.length,
+      uncounted: lines.length - counted.length,
+      withVariance: differing.length,
+      quantityGain: differing.filter(line => line.variance > 0).reduce((sum, line) => sum + line.variance, 0),
+      quantityLoss: differing.filter(line => line.variance < 0).reduce((sum, line) => sum - line.variance, 0),
+      valueGain: differing.filter(line => line.variance > 0).reduce((sum, line) => sum + line.valueImpact, 0),
+      valueLoss: differing.filter(line => line.variance < 0).reduce((sum, line) => sum - line.valueImpact, 0),
+      netValueImpact: counted.reduce((sum, line) => sum + line.valueImpact, 0)
+    }
+  };
+};
+
+module.exports = mongoose.model('Stocktake', stocktakeSchema);
@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['check-in', 'check-out', 'adjustment', 'transfer'],
+    enum: ['check-in', 'check-out', 'adjustment', 'transfer', 'disposal'],
     required: true
   },
   inventory: {
@@ -25,6 +25,12 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Quantity as entered when it was given in another unit than the item's
+  // base unit; quantity above is always in the base unit
+  entered: {
+    quantity: Number,
+    unit: String
+  },
   previousQuantity: {
     type: Number,
     required: true
@@ -57,7 +63,40 @@ const transactionSchema = new mongoose.Schema({
   location: {
     from: String,
     to: String
-  }
+  },
+  // Reservation this check-out fulfilled
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  // Classroom or department a check-out was for
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  },
+  // Loan this check-out opened, or this check-in returned
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  // Stocktake whose approval posted this adjustment
+  stocktake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stocktake'
+  },
+  // Item this transaction was first recorded against, when that item has
+  // since been merged into the one above; quantities are that item's
+  mergedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  // Lots received or consumed by this movement (lot-tracked items only)
+  lots: [{
+    _id: false,
+    lotNumber: String,
+    expiryDate: Date,
+    quantity: Number
+  }]
 }, {
   timestamps: true
 });
@@ -68,6 +107,12 @@ transactionSchema.index({ inventory: 1 });
 transactionSchema.index({ user: 1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ createdAt: -1 });
+// Sort keys of the transaction list (see TRANSACTION_SORT_FIELDS)
+transactionSchema.index({ school: 1, createdAt: -1, _id: -1 });
+transactionSchema.index({ school: 1, type: 1, _id: 1 });
+transactionSchema.index({ school: 1, quantity: 1, _id: 1 });
+// Consumption by classroom
+transactionSchema.index({ school: 1, type: 1, classroom: 1, createdAt: -1 });
 
 // Virtual for transaction value
 transactionSchema.virtual('totalValue').get(function() {
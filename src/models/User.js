@@ -40,6 +40,16 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set by soft delete; cleared on restore from the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   lastLogin: Date,
   refreshToken: String
 }, {
@@ -50,6 +60,10 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ school: 1 });
 userSchema.index({ role: 1 });
+// Sort keys of the user list (see USER_SORT_FIELDS)
+userSchema.index({ school: 1, createdAt: -1, _id: -1 });
+userSchema.index({ school: 1, name: 1, _id: 1 });
+userSchema.index({ school: 1, email: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -0,0 +1,395 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset');
+const AssetLog = require('../models/AssetLog');
+const Inventory = require('../models/Inventory');
+const User = require('../models/User');
+const Classroom = require('../models/Classroom');
+const { auth, checkPermission } = require('../middleware/auth');
+const {
+  validateAsset,
+  validateAssetUpdate,
+  validateAssetIssue,
+  validateAssetAction
+} = require('../middleware/validation');
+const { escapeRegex } = require('../utils/search');
+const { parseLimit } = require('../utils/pagination');
+const { StockMovementError } = require('../utils/stockMovements');
+
+const router = express.Router();
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Asset fields that can be edited directly; status and holder only change
+// through the actions below
+const EDITABLE_FIELDS = ['serialNumber', 'assetTag', 'condition', 'purchaseDate', 'purchaseCost', 'location', 'notes'];
+
+// Status changes: which statuses each action can start from and where it leads
+const ASSET_ACTIONS = {
+  issue: { from: ['in-store'], to: 'issued', message: 'Asset issued successfully' },
+  return: { from: ['issued'], to: 'in-store', message: 'Asset returned successfully' },
+  repair: { from: ['in-store', 'issued'], to: 'under-repair', message: 'Asset sent for repair' },
+  repaired: { from: ['under-repair'], to: 'in-store', message: 'Asset returned from repair' },
+  retire: { from: ['in-store', 'issued', 'under-repair'], to: 'retired', message: 'Asset retired successfully' }
+};
+
+const populateAsset = [
+  { path: 'inventory', select: 'name unit category' },
+  { path: 'holder.user', select: 'name email' },
+  { path: 'holder.classroom', select: 'name kind' }
+];
+
+const plainValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const holderOf = (asset) => ({
+  user: asset.holder?.user || undefined,
+  classroom: asset.holder?.classroom || undefined
+});
+
+// Save an asset change, its log entry and the recount of the item's stock
+// from its in-store assets in one transaction; `prepare` runs first in the
+// same session. The save is version-checked, so a conflicting change fails
+// before anything is logged.
+const saveWithLog = (asset, log, prepare) => mongoose.connection.transaction(async (session) => {
+  if (prepare) await prepare(session);
+  await asset.save({ session });
+  await AssetLog.create([log], { session });
+  await Inventory.rollUpAssets(asset.inventory, session);
+});
+
+const findSerialConflict = (schoolId, serialNumber, excludeId) => {
+  const query = { school: schoolId, serialNumber: serialNumber.trim() };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Asset.findOne(query).collation(CASE_INSENSITIVE).select('serialNumber inventory');
+};
+
+// Get assets with filters and pagination
+router.get('/', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search = '',
+      inventory = '',
+      status = '',
+      condition = '',
+      holder = '',
+      classroom = ''
+    } = req.query;
+    
+    if ([inventory, holder, classroom].some(id => id && !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid inventory, holder or classroom ID' });
+    }
+    
+    const query = { school: req.user.school._id };
+    
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ serialNumber: pattern }, { assetTag: pattern }];
+    }
+    if (inventory) query.inventory = inventory;
+    if (status) query.status = status;
+    if (condition) query.condition = condition;
+    if (holder) query['holder.user'] = holder;
+    if (classroom) query['holder.classroom'] = classroom;
+    
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseLimit(limit, 20);
+    
+    const [assets, total] = await Promise.all([
+      Asset.find(query)
+        .populate(populateAsset)
+        .sort({ serialNumber: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Asset.countDocuments(query)
+    ]);
+    
+    res.json({
+      assets,
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total,
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    console.error('Get assets error:', error);
+    res.status(500).json({ message: 'Failed to fetch assets', error: error.message });
+  }
+});
+
+// Get single asset with its log, newest first
+router.get('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const asset = await Asset.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    }).populate(populateAsset);
+    
+    if (!asset) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+    
+    const logs = await AssetLog.find({ asset: asset._id })
+      .populate('user', 'name email')
+      .populate('previousHolder.user', 'name email')
+      .populate('newHolder.user', 'name email')
+      .populate('previousHolder.classroom', 'name kind')
+      .populate('newHolder.classroom', 'name kind')
+      .sort({ createdAt: -1 });
+    
+    res.json({ ...asset.toJSON(), logs });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch asset', error: error.message });
+  }
+});
+
+// Register a serial-numbered unit of an inventory item
+router.post('/', auth, checkPermission('canManageInventory'), validateAsset, async (req, res) => {
+  try {
+    const item = await Inventory.findOne({
+      _id: req.body.inventory,
+      school: req.user.school._id,
+      isActive: true
+    });
+    
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+    
+    if (item.hasVariants) {
+      return res.status(400).json({ message: 'Register assets against a variant of this item' });
+    }
+    
+    const conflict = await findSerialConflict(req.user.school._id, req.body.serialNumber);
+    if (conflict) {
+      return res.status(400).json({ message: 'Serial number already registered', conflictingAsset: conflict });
+    }
+    
+    const details = EDITABLE_FIELDS.reduce((fields, field) => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+      return fields;
+    }, {});
+    
+    const asset = new Asset({
+      ...details,
+      location: details.location || item.resolveLocation() || Inventory.DEFAULT_LOCATION,
+      inventory: item._id,
+      school: req.user.school._id
+    });
+    
+    await saveWithLog(asset, {
+      asset: asset._id,
+      inventory: item._id,
+      school: req.user.school._id,
+      user: req.user._id,
+      action: 'register',
+      newStatus: asset.status,
+      notes: req.body.notes
+    }, async (session) => {
+      // From the first asset on, the item's stock is counted from its assets.
+      // Stock held before then is not serialized, so it has to be moved out first.
+      if (item.trackAssets) return;
+      const switched = await Inventory.updateOne(
+        { _id: item._id, quantity: 0 },
+        { $set: { trackAssets: true }, $inc: { __v: 1 } },
+        { session }
+      );
+      if (switched.matchedCount === 0) {
+        throw new StockMovementError(
+          'Move this item\'s stock to zero before registering assets; stock is then counted from its assets',
+          { quantity: item.quantity }
+        );
+      }
+    });
+    await asset.populate(populateAsset);
+    
+    res.status(201).json({
+      message: 'Asset registered successfully',
+      asset
+    });
+  } catch (error) {
+    if (error instanceof StockMovementError) {
+      return res.status(400).json({ message: error.message, ...error.details });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Serial number already registered' });
+    }
+    console.error('Register asset error:', error);
+    res.status(500).json({ message: 'Failed to register asset', error: error.message });
+  }
+});
+
+// Update asset details (serial number, tag, condition, purchase details, ...)
+router.put('/:id', auth, checkPermission('canManageInventory'), validateAssetUpdate, async (req, res) => {
+  try {
+    const asset = await Asset.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    });
+    
+    if (!asset) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+    
+    if (req.body.serialNumber) {
+      const conflict = await findSerialConflict(req.user.school._id, req.body.serialNumber, asset._id);
+      if (conflict) {
+        return res.status(400).json({ message: 'Serial number already registered', conflictingAsset: conflict });
+      }
+    }
+    
+    const changes = [];
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+      const before = plainValue(asset[field]);
+      asset[field] = req.body[field];
+      const after = plainValue(asset[field]);
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ field, before, after });
+      }
+    });
+    
+    if (changes.length === 0) {
+      await asset.populate(populateAsset);
+      return res.json({ message: 'No changes to save', asset });
+    }
+    
+    await saveWithLog(asset, {
+      asset: asset._id,
+      inventory: asset.inventory,
+      school: req.user.school._id,
+      user: req.user._id,
+      action: 'update',
+      previousStatus: asset.status,
+      newStatus: asset.status,
+      changes
+    });
+    await asset.populate(populateAsset);
+    
+    res.json({
+      message: 'Asset updated successfully',
+      asset
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Serial number already registered' });
+    }
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Asset was changed by someone else; please try again' });
+    }
+    console.error('Update asset error:', error);
+    res.status(500).json({ message: 'Failed to update asset', error: error.message });
+  }
+});
+
+// Move an asset to a new status and log it. Issuing needs a user or a
+// classroom to hold the asset; leaving "issued" clears the holder. The
+// condition can be recorded along the way (e.g. on return).
+const changeStatus = (action) => async (req, res) => {
+  try {
+    const { from, to, message } = ASSET_ACTIONS[action];
+    const { user: holderUser, classroom, condition, location, reason, notes } = req.body;
+    
+    const asset = await Asset.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    });
+    
+    if (!asset) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+    
+    if (!from.includes(asset.status)) {
+      return res.status(400).json({
+        message: `Cannot ${action} an asset that is ${asset.status}`,
+        status: asset.status
+      });
+    }
+    
+    if (holderUser) {
+      const exists = await User.exists({ _id: holderUser, school: req.user.school._id, isActive: true });
+      if (!exists) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+    }
+    
+    if (classroom) {
+      const exists = await Classroom.exists({ _id: classroom, school: req.user.school._id, isActive: true });
+      if (!exists) {
+        return res.status(404).json({ message: 'Classroom not found' });
+      }
+    }
+    
+    const previousStatus = asset.status;
+    const previousHolder = holderOf(asset);
+    const changes = [];
+    
+    if (condition && condition !== asset.condition) {
+      changes.push({ field: 'condition', before: asset.condition, after: condition });
+      asset.condition = condition;
+    }
+    if (location && location !== asset.location) {
+      changes.push({ field: 'location', before: asset.location || null, after: location });
+      asset.location = location;
+    }
+    
+    asset.status = to;
+    if (to === 'issued') {
+      asset.holder = { user: holderUser || undefined, classroom: classroom || undefined };
+      asset.issuedAt = new Date();
+    } else {
+      asset.holder = {};
+      asset.issuedAt = undefined;
+    }
+    if (to === 'retired') {
+      asset.retiredAt = new Date();
+    }
+    
+    await saveWithLog(asset, {
+      asset: asset._id,
+      inventory: asset.inventory,
+      school: req.user.school._id,
+      user: req.user._id,
+      action,
+      previousStatus,
+      newStatus: to,
+      previousHolder,
+      newHolder: holderOf(asset),
+      changes,
+      reason,
+      notes
+    });
+    await asset.populate(populateAsset);
+    
+    res.json({
+      message,
+      asset
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Asset was changed by someone else; please try again' });
+    }
+    console.error(`Asset ${action} error:`, error);
+    res.status(500).json({ message: `Failed to ${action} asset`, error: error.message });
+  }
+};
+
+// Issue to a user or classroom
+router.post('/:id/issue', auth, checkPermission('canManageTransactions'), validateAssetIssue, changeStatus('issue'));
+
+// Return an issued asset to the store
+router.post('/:id/return', auth, checkPermission('canManageTransactions'), validateAssetAction, changeStatus('return'));
+
+// Send for repair
+router.post('/:id/repair', auth, checkPermission('canManageTransactions'), validateAssetAction, changeStatus('repair'));
+
+// Back from repair, into the store
+router.post('/:id/repaired', auth, checkPermission('canManageTransactions'), validateAssetAction, changeStatus('repaired'));
+
+// Retire (written off, lost, beyond repair); kept for the record
+router.post('/:id/retire', auth, checkPermission('canManageInventory'), validateAssetAction, changeStatus('retire'));
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Category = require('../models/Category');
 const Inventory = require('../models/Inventory');
 const { auth, checkPermission } = require('../middleware/auth');
 const { validateCategory } = require('../middleware/validation');
+const { setETag, isStale, sendVersionConflict } = require('../utils/concurrency');
 
 const router = express.Router();
 
@@ -55,6 +57,7 @@ router.get('/:id', auth, async (req, res) => {
       isActive: true
     });
     
+    setETag(res, category);
     res.json({
       ...category.toObject(),
       itemCount
@@ -103,7 +106,13 @@ router.put('/:id', auth, checkPermission('canManageCategories'), validateCategor
       return res.status(404).json({ message: 'Category not found' });
     }
     
-    Object.assign(category, req.body);
+    // Refuse edits made against an older version (ETag / If-Match or `version`)
+    if (isStale(req, category)) {
+      return sendVersionConflict(res, category, 'Category');
+    }
+    
+    const { version, __v, ...updates } = req.body;
+    Object.assign(category, updates);
     await category.save();
     
     const itemCount = await Inventory.countDocuments({
@@ -112,6 +121,7 @@ router.put('/:id', auth, checkPermission('canManageCategories'), validateCategor
       isActive: true
     });
     
+    setETag(res, category);
     res.json({
       message: 'Category updated successfully',
       category: {
@@ -120,6 +130,15 @@ router.put('/:id', auth, checkPermission('canManageCategories'), validateCategor
       }
     });
   } catch (error) {
+    // Someone else saved the category between our read and our write
+    if (error instanceof mongoose.Error.VersionError) {
+      const current = await Category.findById(req.params.id);
+      // Deleted or purged in the meantime
+      if (!current) {
+        return res.status(404).json({ message: 'Category not found' });
+      }
+      return sendVersionConflict(res, current, 'Category');
+    }
     if (error.code === 11000) {
       return res.status(400).json({ message: 'Category name already exists' });
     }
@@ -155,6 +174,8 @@ router.delete('/:id', auth, checkPermission('canManageCategories'), async (req,
     }
     
     category.isActive = false;
+    category.deletedAt = new Date();
+    category.deletedBy = req.user._id;
     await category.save();
     
     res.json({ message: 'Category deleted successfully' });
@@ -0,0 +1,144 @@
+const express = require('express');
+const Classroom = require('../models/Classroom');
+const User = require('../models/User');
+const { auth, checkPermission } = require('../middleware/auth');
+const { validateClassroom } = require('../middleware/validation');
+
+const router = express.Router();
+
+// The person in charge must be an active user of the school
+const checkInCharge = async (schoolId, userId) => {
+  if (!userId) return true;
+  return Boolean(await User.exists({ _id: userId, school: schoolId, isActive: true }));
+};
+
+// Get all classrooms and departments (?kind=classroom|department)
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = { school: req.user.school._id, isActive: true };
+    if (req.query.kind) {
+      query.kind = req.query.kind;
+    }
+    
+    const classrooms = await Classroom.find(query)
+      .populate('inCharge', 'name email')
+      .sort({ kind: 1, name: 1 });
+    
+    res.json(classrooms);
+  } catch (error) {
+    console.error('Get classrooms error:', error);
+    res.status(500).json({ message: 'Failed to fetch classrooms', error: error.message });
+  }
+});
+
+// Get single classroom
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const classroom = await Classroom.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    }).populate('inCharge', 'name email');
+    
+    if (!classroom) {
+      return res.status(404).json({ message: 'Classroom not found' });
+    }
+    
+    res.json(classroom);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch classroom', error: error.message });
+  }
+});
+
+// Create classroom or department
+router.post('/', auth, checkPermission('canManageCategories'), validateClassroom, async (req, res) => {
+  try {
+    const { name, kind, description, inCharge } = req.body;
+    
+    if (!(await checkInCharge(req.user.school._id, inCharge))) {
+      return res.status(404).json({ message: 'User in charge not found' });
+    }
+    
+    const classroom = new Classroom({
+      name,
+      kind,
+      description,
+      inCharge: inCharge || null,
+      school: req.user.school._id
+    });
+    await classroom.save();
+    
+    res.status(201).json({
+      message: 'Classroom created successfully',
+      classroom
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Classroom name already exists' });
+    }
+    console.error('Create classroom error:', error);
+    res.status(500).json({ message: 'Failed to create classroom', error: error.message });
+  }
+});
+
+// Update classroom
+router.put('/:id', auth, checkPermission('canManageCategories'), validateClassroom, async (req, res) => {
+  try {
+    const classroom = await Classroom.findOne({
+      _id: req.params.id,
+      school: req.user.school._id,
+      isActive: true
+    });
+    
+    if (!classroom) {
+      return res.status(404).json({ message: 'Classroom not found' });
+    }
+    
+    const { name, kind, description, inCharge } = req.body;
+    
+    if (!(await checkInCharge(req.user.school._id, inCharge))) {
+      return res.status(404).json({ message: 'User in charge not found' });
+    }
+    
+    Object.assign(classroom, { name, kind: kind || classroom.kind, description, inCharge: inCharge || null });
+    await classroom.save();
+    await classroom.populate('inCharge', 'name email');
+    
+    res.json({
+      message: 'Classroom updated successfully',
+      classroom
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Classroom name already exists' });
+    }
+    console.error('Update classroom error:', error);
+    res.status(500).json({ message: 'Failed to update classroom', error: error.message });
+  }
+});
+
+// Delete classroom (soft delete). Past check-outs keep pointing at it, so it
+// still appears in consumption reports for earlier periods.
+router.delete('/:id', auth, checkPermission('canManageCategories'), async (req, res) => {
+  try {
+    const classroom = await Classroom.findOne({
+      _id: req.params.id,
+      school: req.user.school._id,
+      isActive: true
+    });
+    
+    if (!classroom) {
+      return res.status(404).json({ message: 'Classroom not found' });
+    }
+    
+    classroom.isActive = false;
+    classroom.deletedAt = new Date();
+    classroom.deletedBy = req.user._id;
+    await classroom.save();
+    
+    res.json({ message: 'Classroom deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to delete classroom', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const CustomField = require('../models/CustomField');
+const Category = require('../models/Category');
+const Inventory = require('../models/Inventory');
+const { auth, adminOnly } = require('../middleware/auth');
+const { validateCustomField } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Get custom field definitions (optionally those that apply to one category)
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = { school: req.user.school._id, isActive: true };
+    
+    if (req.query.category) {
+      query.category = { $in: [null, req.query.category] };
+    }
+    
+    const fields = await CustomField.find(query)
+      .populate('category', 'name color')
+      .sort({ label: 1 });
+    
+    res.json(fields);
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({ message: 'Failed to fetch custom fields', error: error.message });
+  }
+});
+
+// Create custom field (admin only)
+router.post('/', auth, adminOnly, validateCustomField, async (req, res) => {
+  try {
+    const { key, label, type, options, category, required } = req.body;
+    
+    if (!key) {
+      return res.status(400).json({ message: 'Key is required' });
+    }
+    
+    if (category) {
+      const exists = await Category.exists({ _id: category, school: req.user.school._id, isActive: true });
+      if (!exists) {
+        return res.status(400).json({ message: 'Category not found' });
+      }
+    }
+    
+    const field = new CustomField({
+      school: req.user.school._id,
+      key,
+      label,
+      type,
+      options: type === 'select' ? options : [],
+      category: category || null,
+      required
+    });
+    await field.save();
+    
+    res.status(201).json({
+      message: 'Custom field created successfully',
+      field
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A custom field with this key already exists' });
+    }
+    console.error('Create custom field error:', error);
+    res.status(500).json({ message: 'Failed to create custom field', error: error.message });
+  }
+});
+
+// Update custom field (admin only). The key cannot change, and neither can the
+// type once items store values for the field.
+router.put('/:id', auth, adminOnly, validateCustomField, async (req, res) => {
+  try {
+    const field = await CustomField.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    });
+    
+    if (!field) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+    
+    const { label, type, options, category, required } = req.body;
+    
+    if (category) {
+      const exists = await Category.exists({ _id: category, school: req.user.school._id, isActive: true });
+      if (!exists) {
+        return res.status(400).json({ message: 'Category not found' });
+      }
+    }
+    
+    if (type !== field.type) {
+      const inUse = await Inventory.exists({
+        school: req.user.school._id,
+        [`customFields.${field.key}`]: { $exists: true }
+      });
+      if (inUse) {
+        return res.status(400).json({ message: 'Type cannot be changed once items store values for this field' });
+      }
+    }
+    
+    field.label = label;
+    field.type = type;
+    field.options = type === 'select' ? options : [];
+    if (category !== undefined) field.category = category || null;
+    if (required !== undefined) field.required = required;
+    await field.save();
+    
+    res.json({
+      message: 'Custom field updated successfully',
+      field
+    });
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({ message: 'Failed to update custom field', error: error.message });
+  }
+});
+
+// Delete custom field (admin only, soft delete)
+router.delete('/:id', auth, adminOnly, async (req, res) => {
+  try {
+    const field = await CustomField.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    });
+    
+    if (!field) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+    
+    field.isActive = false;
+    await field.save();
+    
+    res.json({ message: 'Custom field deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to delete custom field', error: error.message });
+  }
+});
+
+module.exports = router;
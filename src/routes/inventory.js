@@ -1,12 +1,236 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const fs = require('fs');
+const { validationResult } = require('express-validator');
 const Inventory = require('../models/Inventory');
+const Category = require('../models/Category');
 const Transaction = require('../models/Transaction');
+const CustomField = require('../models/CustomField');
+const InventoryEdit = require('../models/InventoryEdit');
+const Kit = require('../models/Kit');
+const Reservation = require('../models/Reservation');
+const Asset = require('../models/Asset');
+const Loan = require('../models/Loan');
 const { auth, checkPermission } = require('../middleware/auth');
-const { validateInventory } = require('../middleware/validation');
+const {
+  validateInventory,
+  validateVariant,
+  validateMerge,
+  inventoryRules
+} = require('../middleware/validation');
+const { uploadImportFile, uploadAttachment } = require('../middleware/upload');
+const { buildLabelSheetBuffer, LABEL_LAYOUTS } = require('../utils/exporters/pdf');
+const { readInventoryRows } = require('../utils/importers/inventory');
+const { resolveStoragePath, toStorageKey, removeStoredFile } = require('../utils/storage');
+const { setETag, isStale, sendVersionConflict } = require('../utils/concurrency');
+const {
+  PaginationError,
+  parseLimit,
+  parseSort,
+  parseFields,
+  paginateWithCursor
+} = require('../utils/pagination');
+const {
+  getFieldsForCategory,
+  validateCustomFieldValues,
+  buildFilterCondition
+} = require('../utils/customFields');
+const { snapshotItem, diffSnapshots, buildTimeline } = require('../utils/itemHistory');
+const { nameSimilarity } = require('../utils/similarity');
+const { escapeRegex, relevanceScore, buildSearchFilter } = require('../utils/search');
 
 const router = express.Router();
 
-// Get all inventory items with pagination and filters
+// Record an "Initial stock" check-in for every stocked location of a new item
+const recordInitialStock = async (item, user) => {
+  let runningQuantity = 0;
+  for (const loc of item.locations) {
+    if (loc.quantity <= 0) continue;
+    
+    // With a single opening lot the lot is known for every location
+    const lot = item.lots.length === 1 ? item.lots[0] : null;
+    
+    const transaction = new Transaction({
+      type: 'check-in',
+      inventory: item._id,
+      school: user.school._id,
+      user: user._id,
+      quantity: loc.quantity,
+      previousQuantity: runningQuantity,
+      newQuantity: runningQuantity + loc.quantity,
+      reason: 'Initial stock',
+      cost: item.cost || 0,
+      location: { to: loc.name },
+      lots: lot ? [{ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: loc.quantity }] : undefined
+    });
+    runningQuantity += loc.quantity;
+    await transaction.save();
+  }
+};
+
+// Per-location quantity changes between two sets of location balances
+const diffLocations = (before, after) => {
+  const names = new Set([...before.map(loc => loc.name), ...after.map(loc => loc.name)]);
+  const quantityAt = (locations, name) => locations.find(loc => loc.name === name)?.quantity || 0;
+
+  return [...names]
+    .map(name => ({ name, delta: quantityAt(after, name) - quantityAt(before, name) }))
+    .filter(change => change.delta !== 0);
+};
+
+// Attach active variants to parent items for list/detail responses
+const withVariants = async (items, variantFilter = {}) => {
+  const parentIds = items.filter(item => item.hasVariants).map(item => item._id);
+  const variants = parentIds.length > 0
+    ? await Inventory.find({ ...variantFilter, parent: { $in: parentIds }, isActive: true }).sort({ name: 1 })
+    : [];
+  
+  return items.map(item => {
+    if (!item.hasVariants) return item;
+    return {
+      ...item.toJSON(),
+      variants: variants.filter(variant => variant.parent.equals(item._id))
+    };
+  });
+};
+
+// Add `reserved` (held by active reservations) and `available` (stock that
+// can still be checked out) to items and their variants. Items with variants
+// show the totals of their variants.
+const withReservations = async (items) => {
+  const ids = items.flatMap(item => [item._id, ...(item.variants || []).map(variant => variant._id)]);
+  const reserved = await Reservation.reservedQuantities(ids);
+  
+  const describe = (item, itemReserved) => ({
+    ...(item.toJSON ? item.toJSON() : item),
+    reserved: itemReserved,
+    ...(typeof item.quantity === 'number' ? { available: Math.max(0, item.quantity - itemReserved) } : {})
+  });
+  
+  return items.map(item => {
+    if (!item.variants) {
+      return describe(item, reserved.get(item._id.toString()) || 0);
+    }
+    const variants = item.variants.map(variant => describe(variant, reserved.get(variant._id.toString()) || 0));
+    return {
+      ...describe(item, variants.reduce((sum, variant) => sum + variant.reserved, 0)),
+      variants
+    };
+  });
+};
+
+// Attachment metadata as returned by the API (the storage key stays internal)
+const describeAttachment = (item, attachment) => ({
+  _id: attachment._id,
+  kind: attachment.kind,
+  originalName: attachment.originalName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  description: attachment.description,
+  uploadedBy: attachment.uploadedBy,
+  uploadedAt: attachment.uploadedAt,
+  url: `/api/inventory/${item._id}/attachments/${attachment._id}/download`
+});
+
+// Indexed fields the inventory list can be sorted by
+const INVENTORY_SORT_FIELDS = ['name', 'quantity', 'createdAt', 'updatedAt'];
+
+// Fields the inventory list can be trimmed to with ?fields=
+const INVENTORY_LIST_FIELDS = [
+  'name', 'description', 'category', 'parent', 'hasVariants', 'variantAttributes',
+  'quantity', 'unit', 'unitConversions', 'minThreshold', 'maxThreshold', 'cost',
+  'supplier', 'locations', 'trackLots', 'lots', 'trackAssets', 'barcode', 'customFields',
+  'thumbnail', 'lastUpdated', 'createdAt', 'updatedAt'
+];
+
+// Stock status filters of the inventory list
+const STATUS_FILTERS = {
+  'low-stock': { $expr: { $lte: ['$quantity', '$minThreshold'] } },
+  'out-of-stock': { quantity: 0 },
+  'overstock': { $expr: { $gte: ['$quantity', '$maxThreshold'] } },
+  'in-stock': {
+    $expr: {
+      $and: [
+        { $gt: ['$quantity', '$minThreshold'] },
+        { $lt: ['$quantity', '$maxThreshold'] }
+      ]
+    }
+  }
+};
+
+// Fields searched by the inventory list, with how much a match in each counts
+const SEARCH_PATHS = ['name', 'barcode', 'supplier.name', 'locations.name', 'description'];
+const searchFields = (item) => [
+  { text: item.name, weight: 3 },
+  { text: item.barcode, weight: 3 },
+  { text: item.supplier?.name, weight: 1 },
+  { text: (item.locations || []).map(loc => loc.name).join(' '), weight: 1 },
+  { text: item.description, weight: 0.5 }
+];
+
+/**
+ * Filter chip counts for the inventory list. Each facet applies every filter
+ * except its own, so the counts show what choosing another value would give.
+ */
+const getInventoryFacets = async (baseQuery, filters) => {
+  const matchExcept = (dimension) => Object.entries(filters)
+    .filter(([name]) => name !== dimension)
+    .reduce((match, [, filter]) => ({ ...match, ...filter }), { ...baseQuery });
+  
+  const [categories, [statuses], locations] = await Promise.all([
+    Inventory.aggregate([
+      { $match: matchExcept('category') },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+      { $unwind: '$category' },
+      { $project: { _id: 1, count: 1, name: '$category.name', color: '$category.color' } },
+      { $sort: { name: 1 } }
+    ]),
+    Inventory.aggregate([
+      { $match: matchExcept('status') },
+      {
+        $group: {
+          _id: null,
+          inStock: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  { $gt: ['$quantity', '$minThreshold'] },
+                  { $lt: ['$quantity', '$maxThreshold'] }
+                ]
+              }, 1, 0]
+            }
+          },
+          lowStock: { $sum: { $cond: [{ $lte: ['$quantity', '$minThreshold'] }, 1, 0] } },
+          outOfStock: { $sum: { $cond: [{ $eq: ['$quantity', 0] }, 1, 0] } },
+          overstock: { $sum: { $cond: [{ $gte: ['$quantity', '$maxThreshold'] }, 1, 0] } }
+        }
+      }
+    ]),
+    Inventory.aggregate([
+      { $match: matchExcept('location') },
+      { $unwind: '$locations' },
+      { $group: { _id: '$locations.name', count: { $sum: 1 }, quantity: { $sum: '$locations.quantity' } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+  
+  return {
+    category: categories,
+    status: [
+      { value: 'in-stock', count: statuses?.inStock || 0 },
+      { value: 'low-stock', count: statuses?.lowStock || 0 },
+      { value: 'out-of-stock', count: statuses?.outOfStock || 0 },
+      { value: 'overstock', count: statuses?.overstock || 0 }
+    ],
+    location: locations.map(loc => ({ name: loc._id, count: loc.count, quantity: loc.quantity }))
+  };
+};
+
+// Get all inventory items with pagination, filters, relevance-ranked search
+// (partial words and small typos across name, barcode, supplier, location and
+// description) and facet counts. Pass ?cursor= (empty for the first page) for
+// cursor pagination and ?fields=name,quantity to trim the items.
 router.get('/', auth, checkPermission('canManageInventory'), async (req, res) => {
   try {
     const {
@@ -15,133 +239,944 @@ router.get('/', auth, checkPermission('canManageInventory'), async (req, res) =>
       search = '',
       category = '',
       status = '',
-      sortBy = 'name',
-      sortOrder = 'asc'
+      location = '',
+      parent = '',
+      cf = {},
+      includeKits = 'true',
+      sortBy = '',
+      sortOrder = 'asc',
+      cursor,
+      fields
     } = req.query;
-
-    const query = { school: req.user.school._id, isActive: true };
     
-    // Search filter
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    if ((parent && !mongoose.isValidObjectId(parent)) || (category && !mongoose.isValidObjectId(category))) {
+      return res.status(400).json({ message: 'Invalid category or parent ID' });
     }
     
+    // Variants are listed under their parent unless a parent is requested.
+    // Ids are cast here because the same match also feeds the facet aggregations.
+    const baseQuery = {
+      school: req.user.school._id,
+      isActive: true,
+      parent: parent ? new mongoose.Types.ObjectId(parent) : null
+    };
+    
+    const filters = {};
+    
     // Category filter
     if (category) {
-      query.category = category;
+      filters.category = { category: new mongoose.Types.ObjectId(category) };
+    }
+    
+    // Location filter
+    if (location) {
+      filters.location = { 'locations.name': location };
     }
     
     // Status filter
-    if (status) {
-      switch (status) {
-        case 'low-stock':
-          query.$expr = { $lte: ['$quantity', '$minThreshold'] };
-          break;
-        case 'out-of-stock':
-          query.quantity = 0;
-          break;
-        case 'overstock':
-          query.$expr = { $gte: ['$quantity', '$maxThreshold'] };
-          break;
-        case 'in-stock':
-          query.$expr = {
-            $and: [
-              { $gt: ['$quantity', '$minThreshold'] },
-              { $lt: ['$quantity', '$maxThreshold'] }
-            ]
-          };
-          break;
-      }
-    }
-
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const [items, total] = await Promise.all([
-      Inventory.find(query)
-        .populate('category', 'name color')
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Inventory.countDocuments(query)
-    ]);
-
-    res.json({
-      items,
-      pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
+    if (STATUS_FILTERS[status]) {
+      filters.status = STATUS_FILTERS[status];
+    }
+    
+    // Custom field filters, e.g. ?cf[gradeLevel]=Nursery
+    if (cf && typeof cf === 'object' && Object.keys(cf).length > 0) {
+      const fields = await CustomField.find({
+        school: req.user.school._id,
+        isActive: true,
+        key: { $in: Object.keys(cf) }
+      });
+      
+      filters.customFields = {};
+      for (const field of fields) {
+        const { condition, error } = buildFilterCondition(field, cf[field.key]);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+        filters.customFields[`customFields.${field.key}`] = condition;
+      }
+    }
+    
+    // Search is scored in the app so that partial words and typos still
+    // match. The database narrows the candidates to items that can match at
+    // all; only the matching items take part in the list and the facets.
+    let relevance = null;
+    if (search.trim()) {
+      const searchFilter = buildSearchFilter(search, SEARCH_PATHS);
+      const candidates = searchFilter
+        ? await Inventory.find({ ...baseQuery, ...searchFilter })
+          .select('name description barcode supplier locations')
+          .lean()
+        : [];
+      
+      relevance = new Map();
+      candidates.forEach(item => {
+        let score = relevanceScore(search, searchFields(item));
+        if (item.barcode && item.barcode.trim() === search.trim()) {
+          score += 10;
+        }
+        if (score > 0) {
+          relevance.set(item._id.toString(), score);
+        }
+      });
+      baseQuery._id = { $in: [...relevance.keys()].map(id => new mongoose.Types.ObjectId(id)) };
+    }
+    
+    const query = Object.values(filters).reduce((match, filter) => ({ ...match, ...filter }), { ...baseQuery });
+    
+    const pageSize = parseLimit(limit);
+    const byRelevance = relevance && (!sortBy || sortBy === 'relevance');
+    const sort = byRelevance ? null : parseSort(sortBy, sortOrder, INVENTORY_SORT_FIELDS, 'name');
+    const projection = parseFields(fields, INVENTORY_LIST_FIELDS, sort ? [sort.field] : []);
+    const findItems = (filter, sortOptions) => Inventory.find(filter)
+      .select(projection)
+      .populate('category', 'name color')
+      .sort(sortOptions);
+    
+    let items;
+    let pagination;
+    if (cursor !== undefined) {
+      if (byRelevance) {
+        throw new PaginationError('Cursor pagination needs a sort field; relevance order is only paged by page number', {
+          sortableFields: INVENTORY_SORT_FIELDS
+        });
+      }
+      
+      const result = await paginateWithCursor({ query, sort, limit: pageSize, cursor, find: findItems });
+      items = result.docs;
+      pagination = result.pagination;
+    } else {
+      const pageNumber = parseInt(page) || 1;
+      const skip = (pageNumber - 1) * pageSize;
+      let total;
+      
+      if (byRelevance) {
+        // Best match first, then by name
+        const matches = await Inventory.find(query).select('name').lean();
+        matches.sort((a, b) => relevance.get(b._id.toString()) - relevance.get(a._id.toString()) ||
+          a.name.localeCompare(b.name));
+        total = matches.length;
+        
+        const pageIds = matches.slice(skip, skip + pageSize).map(item => item._id.toString());
+        const pageItems = await findItems({ _id: { $in: pageIds } }, {});
+        items = pageIds.map(id => pageItems.find(item => item._id.toString() === id)).filter(Boolean);
+      } else {
+        [items, total] = await Promise.all([
+          findItems(query, sort.sort)
+            .skip(skip)
+            .limit(pageSize),
+          Inventory.countDocuments(query)
+        ]);
+      }
+      
+      pagination = {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
         total,
-        limit: parseInt(limit)
+        limit: pageSize
+      };
+    }
+    
+    const facets = await getInventoryFacets(baseQuery, filters);
+    
+    // Kits are listed alongside items with how many can be made from stock.
+    // Item-only filters (category, status, parent, custom fields) leave them out.
+    let kits = [];
+    const itemOnlyFilter = category || status || parent || Object.keys(cf || {}).length > 0;
+    if (includeKits !== 'false' && !itemOnlyFilter) {
+      const kitQuery = { school: req.user.school._id, isActive: true };
+      if (search.trim()) {
+        kitQuery.name = { $regex: escapeRegex(search.trim()), $options: 'i' };
       }
+      kits = await Kit.withAvailability(await Kit.find(kitQuery).sort({ name: 1 }), location || null);
+    }
+    
+    const results = await withReservations(await withVariants(items));
+    
+    res.json({
+      items: relevance
+        ? results.map(item => ({
+          ...item,
+          relevance: Math.round(relevance.get(item._id.toString()) * 100) / 100
+        }))
+        : results,
+      kits,
+      facets,
+      pagination
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ message: error.message, ...error.details });
+    }
     console.error('Get inventory error:', error);
     res.status(500).json({ message: 'Failed to fetch inventory', error: error.message });
   }
 });
 
+// Stock totals grouped by location
+router.get('/locations', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const locations = await Inventory.aggregate([
+      { $match: { school: req.user.school._id, isActive: true } },
+      { $unwind: '$locations' },
+      {
+        $group: {
+          _id: '$locations.name',
+          itemCount: { $sum: 1 },
+          totalQuantity: { $sum: '$locations.quantity' },
+          totalValue: { $sum: { $multiply: ['$locations.quantity', '$cost'] } }
+        }
+      },
+      { $project: { _id: 0, name: '$_id', itemCount: 1, totalQuantity: 1, totalValue: 1 } },
+      { $sort: { name: 1 } }
+    ]);
+    
+    res.json(locations);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch locations', error: error.message });
+  }
+});
+
+// Look up an item by barcode (scanner lookup)
+router.get('/barcode/:code', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const item = await Inventory.findOne({
+      school: req.user.school._id,
+      barcode: req.params.code.trim(),
+      isActive: true
+    }).populate('category', 'name color');
+    
+    if (!item) {
+      return res.status(404).json({ message: 'No item found for this barcode' });
+    }
+    
+    res.json({
+      item,
+      stock: {
+        quantity: item.quantity,
+        unit: item.unit,
+        status: item.stockStatus,
+        locations: item.locations
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to look up barcode', error: error.message });
+  }
+});
+
+// Printable shelf/bin label sheet for a category or a list of item IDs
+router.get('/labels/pdf', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const {
+      category = '',
+      ids = '',
+      location = '',
+      layout = 'a4-21',
+      symbology = 'code128',
+      copies = 1
+    } = req.query;
+    
+    if (!LABEL_LAYOUTS[layout]) {
+      return res.status(400).json({
+        message: 'Unknown label layout',
+        layouts: Object.entries(LABEL_LAYOUTS).map(([key, value]) => ({ key, description: value.description }))
+      });
+    }
+    
+    if (!['code128', 'qr'].includes(symbology)) {
+      return res.status(400).json({ message: 'Symbology must be code128 or qr' });
+    }
+    
+    // Any sheet dimension (mm) can be overridden for non-standard stickers
+    const sheetLayout = { ...LABEL_LAYOUTS[layout] };
+    ['columns', 'rows', 'labelWidth', 'labelHeight', 'marginTop', 'marginLeft', 'gapX', 'gapY'].forEach(key => {
+      if (req.query[key] !== undefined && !isNaN(parseFloat(req.query[key]))) {
+        sheetLayout[key] = parseFloat(req.query[key]);
+      }
+    });
+    sheetLayout.columns = Math.max(1, Math.floor(sheetLayout.columns));
+    sheetLayout.rows = Math.max(1, Math.floor(sheetLayout.rows));
+    
+    const query = { school: req.user.school._id, isActive: true };
+    const itemIds = ids.split(',').map(id => id.trim()).filter(Boolean);
+    
+    if (itemIds.length > 0) {
+      query._id = { $in: itemIds };
+    } else if (category) {
+      query.category = category;
+    } else {
+      return res.status(400).json({ message: 'Select a category or a list of item IDs' });
+    }
+    
+    if (location) {
+      query['locations.name'] = location;
+    }
+    
+    const items = await Inventory.find(query).sort({ name: 1 });
+    
+    // One label per item and location, so every shelf gets its own sticker
+    const labelCopies = Math.min(Math.max(parseInt(copies) || 1, 1), 100);
+    const labels = [];
+    items.forEach(item => {
+      const locationNames = item.locations
+        .map(loc => loc.name)
+        .filter(name => !location || name === location);
+      (locationNames.length > 0 ? locationNames : ['']).forEach(locationName => {
+        for (let i = 0; i < labelCopies; i++) {
+          labels.push({
+            name: item.name,
+            unit: item.unit,
+            location: locationName,
+            code: item.barcode || item._id.toString()
+          });
+        }
+      });
+    });
+    
+    if (labels.length === 0) {
+      return res.status(404).json({ message: 'No items found for labels' });
+    }
+    
+    const buffer = await buildLabelSheetBuffer({ labels, layout: sheetLayout, symbology });
+    
+    const dateStr = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="labels-${dateStr}.pdf"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('Label sheet error:', error);
+    res.status(500).json({ message: 'Failed to generate labels', error: error.message });
+  }
+});
+
+// Suggest likely duplicate items, grouped. Items match on the same barcode or
+// a name similarity of at least ?threshold= (0-1, default 0.7); items from the
+// same supplier need a little less. Variants of one parent are never paired.
+router.get('/duplicates', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const threshold = Math.min(Math.max(parseFloat(req.query.threshold) || 0.7, 0.3), 1);
+    const supplierThreshold = threshold - 0.15;
+    
+    const items = await Inventory.find({
+      school: req.user.school._id,
+      isActive: true,
+      hasVariants: { $ne: true }
+    })
+    .select('name barcode supplier unit quantity category parent')
+    .populate('category', 'name color')
+    .sort({ name: 1 });
+    
+    const supplierOf = (item) => String(item.supplier?.name || '').trim().toLowerCase();
+    
+    const matches = [];
+    for (let i = 0; i < items.length; i += 1) {
+      for (let j = i + 1; j < items.length; j += 1) {
+        const a = items[i];
+        const b = items[j];
+        if (a.parent && b.parent && a.parent.equals(b.parent)) continue;
+        
+        const score = nameSimilarity(a.name, b.name);
+        const reasons = [];
+        if (a.barcode && a.barcode.trim() && a.barcode.trim() === String(b.barcode || '').trim()) {
+          reasons.push('barcode');
+        }
+        if (score >= threshold) {
+          reasons.push('name');
+        }
+        if (supplierOf(a) && supplierOf(a) === supplierOf(b) && score >= supplierThreshold) {
+          reasons.push('supplier');
+        }
+        
+        if (reasons.length > 0) {
+          matches.push({ a: i, b: j, score: Math.round(score * 100) / 100, reasons });
+        }
+      }
+    }
+    
+    // Items linked by any match end up in one group
+    const groupOf = items.map((item, index) => index);
+    const find = (index) => {
+      while (groupOf[index] !== index) {
+        groupOf[index] = groupOf[groupOf[index]];
+        index = groupOf[index];
+      }
+      return index;
+    };
+    matches.forEach(({ a, b }) => {
+      groupOf[find(a)] = find(b);
+    });
+    
+    const groups = new Map();
+    matches.forEach(match => {
+      const root = find(match.a);
+      if (!groups.has(root)) {
+        groups.set(root, { members: new Set(), matches: [] });
+      }
+      const group = groups.get(root);
+      group.members.add(match.a);
+      group.members.add(match.b);
+      group.matches.push({
+        items: [items[match.a]._id, items[match.b]._id],
+        score: match.score,
+        reasons: match.reasons
+      });
+    });
+    
+    const duplicates = [...groups.values()]
+      .map(group => ({
+        items: [...group.members].map(index => items[index]),
+        matches: group.matches.sort((x, y) => y.score - x.score),
+        score: Math.max(...group.matches.map(match => match.score))
+      }))
+      .sort((x, y) => y.score - x.score);
+    
+    res.json({ threshold, groups: duplicates });
+  } catch (error) {
+    console.error('Find duplicates error:', error);
+    res.status(500).json({ message: 'Failed to find duplicate items', error: error.message });
+  }
+});
+
 // Get single inventory item
 router.get('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
   try {
     const item = await Inventory.findOne({
       _id: req.params.id,
       school: req.user.school._id
-    }).populate('category', 'name color');
+    })
+    .populate('category', 'name color')
+    .populate('parent', 'name');
     
     if (!item) {
       return res.status(404).json({ message: 'Inventory item not found' });
     }
     
-    res.json(item);
+    const [result] = await withReservations(await withVariants([item]));
+    const thumbnail = item.thumbnail ? item.attachments.id(item.thumbnail) : null;
+    const assets = (await Asset.countByInventory([item._id])).get(item._id.toString());
+    
+    setETag(res, item);
+    res.json({
+      ...result,
+      ...(assets ? { assets } : {}),
+      thumbnail: thumbnail ? describeAttachment(item, thumbnail) : null,
+      attachments: item.attachments.map(attachment => describeAttachment(item, attachment))
+    });
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch inventory item', error: error.message });
   }
 });
 
+// Get an item's history: stock transactions and field edits, newest first
+router.get('/:id/history', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const item = await Inventory.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    });
+    
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+    
+    const [transactions, edits] = await Promise.all([
+      Transaction.find({ inventory: item._id }).populate('user', 'name email'),
+      InventoryEdit.find({ inventory: item._id }).populate('user', 'name email')
+    ]);
+    
+    // Merges into this item, and into the items merged into it, for the
+    // balance of the transactions they moved here. An item restored from the
+    // trash can be merged into again, so each item is looked up once.
+    const merges = [];
+    const seen = new Set([item._id.toString()]);
+    let mergeTargets = [item._id];
+    while (mergeTargets.length > 0) {
+      const found = await InventoryEdit.find({
+        inventory: { $in: mergeTargets },
+        action: 'merge',
+        'changes.field': 'mergedFrom'
+      });
+      merges.push(...found);
+      mergeTargets = found.flatMap(edit => edit.changes
+        .filter(change => change.field === 'mergedFrom')
+        .flatMap(change => change.after || [])
+        .map(source => source._id))
+        .filter(id => !seen.has(String(id)));
+      mergeTargets.forEach(id => seen.add(String(id)));
+    }
+    
+    // Show category moves with names rather than ids
+    const categoryIds = edits.flatMap(edit => edit.changes
+      .filter(change => change.field === 'category')
+      .flatMap(change => [change.before, change.after]))
+      .filter(Boolean);
+    const categories = await Category.find({ _id: { $in: categoryIds } }).select('name color');
+    const categoryById = new Map(categories.map(category => [category._id.toString(), category]));
+    
+    const timeline = buildTimeline(transactions, edits.map(edit => {
+      const plain = edit.toObject();
+      plain.changes = plain.changes.map(change => change.field !== 'category' ? change : {
+        ...change,
+        before: categoryById.get(String(change.before)) || change.before,
+        after: categoryById.get(String(change.after)) || change.after
+      });
+      return plain;
+    }), merges);
+    
+    res.json({
+      item: { _id: item._id, name: item.name, quantity: item.quantity, isActive: item.isActive },
+      history: timeline
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch item history', error: error.message });
+  }
+});
+
 // Create inventory item
 router.post('/', auth, checkPermission('canManageInventory'), validateInventory, async (req, res) => {
   try {
-    const inventoryData = {
-      ...req.body,
+    const {
+      location,
+      locations,
+      parent,
+      hasVariants,
+      trackAssets,
+      lots,
+      lotNumber,
+      expiryDate,
+      attachments,
+      thumbnail,
+      customFields,
+      ...inventoryData
+    } = req.body;
+    
+    const barcodeConflict = await Inventory.findBarcodeConflict(req.user.school._id, req.body.barcode);
+    if (barcodeConflict) {
+      return res.status(400).json({
+        message: 'Barcode already assigned to another item',
+        conflictingItem: barcodeConflict
+      });
+    }
+    
+    const fields = await getFieldsForCategory(req.user.school._id, inventoryData.category);
+    const custom = validateCustomFieldValues(fields, customFields);
+    if (custom.errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: custom.errors });
+    }
+    
+    const item = new Inventory({
+      ...inventoryData,
+      customFields: custom.values,
+      locations: locations || [{
+        name: location || Inventory.DEFAULT_LOCATION,
+        quantity: req.body.quantity
+      }],
       school: req.user.school._id
-    };
+    });
+    
+    // Opening stock of a lot-tracked item goes into the lot given with it
+    if (item.trackLots && lotNumber) {
+      item.lots = [{ lotNumber, expiryDate, quantity: item.locations.reduce((sum, loc) => sum + loc.quantity, 0) }];
+    }
     
-    const item = new Inventory(inventoryData);
     await item.save();
     await item.populate('category', 'name color');
     
-    // Create initial transaction if quantity > 0
-    if (item.quantity > 0) {
-      const transaction = new Transaction({
-        type: 'check-in',
-        inventory: item._id,
-        school: req.user.school._id,
-        user: req.user._id,
-        quantity: item.quantity,
-        previousQuantity: 0,
-        newQuantity: item.quantity,
-        reason: 'Initial stock',
-        cost: item.cost || 0
-      });
-      await transaction.save();
-    }
+    await recordInitialStock(item, req.user);
     
     res.status(201).json({
       message: 'Inventory item created successfully',
       item
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Barcode already assigned to another item' });
+    }
     console.error('Create inventory error:', error);
     res.status(500).json({ message: 'Failed to create inventory item', error: error.message });
   }
 });
 
+// Bulk import items from a CSV/XLSX file (?dryRun=true only validates)
+router.post('/import', auth, checkPermission('canManageInventory'), uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a .csv or .xlsx file in the "file" field' });
+    }
+    
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true';
+    const createCategories = String(req.query.createCategories ?? req.body.createCategories) === 'true';
+    const schoolId = req.user.school._id;
+    
+    let rows;
+    try {
+      rows = await readInventoryRows(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ message: 'Could not read the uploaded file', error: error.message });
+    }
+    
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'No item rows found. The file needs a header row with a Name column.' });
+    }
+    
+    const categories = await Category.find({ school: schoolId, isActive: true });
+    const categoryByName = new Map(categories.map(category => [category.name.toLowerCase(), category]));
+    
+    const fileBarcodes = rows.map(row => row.data.barcode).filter(Boolean);
+    const existingBarcodes = new Set(
+      (await Inventory.find({ school: schoolId, isActive: true, barcode: { $in: fileBarcodes } }).select('barcode'))
+        .map(item => item.barcode)
+    );
+    
+    const errors = [];
+    const newCategoryNames = new Map();
+    const seenBarcodes = new Map();
+    
+    for (const row of rows) {
+      const rowErrors = [];
+      
+      // Same field rules as POST /api/inventory
+      const rowReq = { body: row.data };
+      for (const rule of inventoryRules) {
+        await rule.run(rowReq);
+      }
+      validationResult(rowReq).array().forEach(err => {
+        rowErrors.push({ field: err.path, message: err.msg, value: err.value });
+      });
+      row.data = rowReq.body;
+      
+      const categoryName = row.data.category ? String(row.data.category).trim() : '';
+      if (!categoryName) {
+        rowErrors.push({ field: 'category', message: 'Category is required' });
+      } else if (!categoryByName.has(categoryName.toLowerCase())) {
+        if (createCategories) {
+          newCategoryNames.set(categoryName.toLowerCase(), categoryName);
+        } else {
+          rowErrors.push({ field: 'category', message: 'Category not found', value: categoryName });
+        }
+      }
+      
+      const barcode = row.data.barcode;
+      if (barcode) {
+        if (existingBarcodes.has(barcode)) {
+          rowErrors.push({ field: 'barcode', message: 'Barcode already assigned to another item', value: barcode });
+        } else if (seenBarcodes.has(barcode)) {
+          rowErrors.push({ field: 'barcode', message: `Barcode repeats row ${seenBarcodes.get(barcode)}`, value: barcode });
+        } else {
+          seenBarcodes.set(barcode, row.rowNumber);
+        }
+      }
+      
+      if (rowErrors.length > 0) {
+        errors.push({ row: row.rowNumber, name: row.data.name, errors: rowErrors });
+      }
+    }
+    
+    const summary = {
+      totalRows: rows.length,
+      validRows: rows.length - errors.length,
+      invalidRows: errors.length,
+      newCategories: [...newCategoryNames.values()]
+    };
+    
+    if (dryRun) {
+      return res.json({ dryRun: true, summary, errors });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Import has validation errors; nothing was imported',
+        summary,
+        errors
+      });
+    }
+    
+    for (const [key, name] of newCategoryNames) {
+      const category = new Category({ name, school: schoolId });
+      await category.save();
+      categoryByName.set(key, category);
+    }
+    
+    const created = [];
+    for (const row of rows) {
+      const { location, category, ...itemData } = row.data;
+      const item = new Inventory({
+        ...itemData,
+        category: categoryByName.get(String(category).trim().toLowerCase())._id,
+        locations: [{ name: location || Inventory.DEFAULT_LOCATION, quantity: itemData.quantity }],
+        school: schoolId
+      });
+      await item.save();
+      await recordInitialStock(item, req.user);
+      created.push({ _id: item._id, name: item.name, row: row.rowNumber });
+    }
+    
+    res.status(201).json({
+      message: 'Inventory imported successfully',
+      summary,
+      items: created
+    });
+  } catch (error) {
+    console.error('Import inventory error:', error);
+    res.status(500).json({ message: 'Failed to import inventory', error: error.message });
+  }
+});
+
+// Merge duplicate items into a surviving target item. Source stock (per
+// location and lot) moves onto the target, and the sources' transactions,
+// kit components, reservations, assets and loans are re-pointed to it; the
+// moved transactions keep `mergedFrom` so the history can tell them apart.
+// The sources are deactivated.
+router.post('/merge', auth, checkPermission('canManageInventory'), validateMerge, async (req, res) => {
+  try {
+    const { target: targetId, sources: sourceIds } = req.body;
+    
+    const items = await Inventory.find({
+      _id: { $in: [targetId, ...sourceIds] },
+      school: req.user.school._id,
+      isActive: true
+    });
+    const byId = new Map(items.map(item => [item._id.toString(), item]));
+    
+    const target = byId.get(String(targetId));
+    if (!target) {
+      return res.status(404).json({ message: 'Target item not found' });
+    }
+    
+    const errors = [];
+    const sources = [];
+    sourceIds.forEach(id => {
+      const source = byId.get(String(id));
+      if (!source) {
+        errors.push({ inventory: id, message: 'Inventory item not found' });
+      } else if (source.hasVariants || target.hasVariants) {
+        errors.push({ inventory: id, item: source.name, message: 'Items with variants cannot be merged; merge the variants instead' });
+      } else if (source.unit.trim().toLowerCase() !== target.unit.trim().toLowerCase()) {
+        errors.push({ inventory: id, item: source.name, message: `Unit ${source.unit} differs from the target's ${target.unit}` });
+      } else if (source.trackLots !== target.trackLots) {
+        errors.push({ inventory: id, item: source.name, message: 'Lot tracking differs from the target' });
+      } else if (source.trackAssets !== target.trackAssets) {
+        errors.push({ inventory: id, item: source.name, message: 'Asset tracking differs from the target' });
+      } else {
+        sources.push(source);
+      }
+    });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Items could not be merged; no changes were made', errors });
+    }
+    
+    const sourceObjectIds = sources.map(source => source._id);
+    const mergedFrom = sources.map(source => ({ _id: source._id, name: source.name, quantity: source.quantity }));
+    const now = new Date();
+    
+    // Move source stock onto the target in memory
+    for (const source of sources) {
+      source.locations.forEach(loc => {
+        if (loc.quantity > 0) {
+          target.adjustLocationQuantity(loc.name, loc.quantity);
+        }
+      });
+      
+      source.lots.forEach(lot => {
+        const existing = target.lots.find(entry => entry.lotNumber === lot.lotNumber);
+        if (existing) {
+          existing.quantity += lot.quantity;
+        } else {
+          target.lots.push({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: lot.quantity });
+        }
+      });
+      
+      source.locations = [];
+      source.lots = [];
+      source.quantity = 0;
+      source.isActive = false;
+      source.deletedAt = now;
+      source.deletedBy = req.user._id;
+    }
+    
+    // Kits that used a source now use the target
+    const kits = await Kit.find({ school: req.user.school._id, 'components.inventory': { $in: sourceObjectIds } });
+    kits.forEach(kit => {
+      const components = [];
+      kit.components.forEach(component => {
+        const id = sourceObjectIds.some(sourceId => sourceId.equals(component.inventory))
+          ? target._id
+          : component.inventory;
+        const existing = components.find(entry => entry.inventory.equals(id));
+        if (existing) {
+          existing.quantity += component.quantity;
+        } else {
+          components.push({ inventory: id, quantity: component.quantity });
+        }
+      });
+      kit.components = components;
+    });
+    
+    let transactionsMoved = 0;
+    await mongoose.connection.transaction(async (session) => {
+      await Reservation.updateMany(
+        { inventory: { $in: sourceObjectIds } },
+        { $set: { inventory: target._id } },
+        { session }
+      );
+      await Asset.updateMany(
+        { inventory: { $in: sourceObjectIds } },
+        { $set: { inventory: target._id } },
+        { session }
+      );
+      // Open loans are returned against the target from now on
+      await Loan.updateMany(
+        { inventory: { $in: sourceObjectIds } },
+        { $set: { inventory: target._id } },
+        { session }
+      );
+      
+      // Transactions already moved by an earlier merge keep their first item
+      const moved = await Transaction.updateMany(
+        { inventory: { $in: sourceObjectIds } },
+        [{ $set: { mergedFrom: { $ifNull: ['$mergedFrom', '$inventory'] }, inventory: target._id } }],
+        { session }
+      );
+      transactionsMoved = moved.modifiedCount;
+      
+      for (const source of sources) {
+        await source.save({ session });
+      }
+      await target.save({ session });
+      for (const kit of kits) {
+        await kit.save({ session });
+      }
+      
+      await InventoryEdit.create([
+        {
+          inventory: target._id,
+          school: req.user.school._id,
+          user: req.user._id,
+          action: 'merge',
+          changes: [{ field: 'mergedFrom', before: null, after: mergedFrom }]
+        },
+        ...sources.map(source => ({
+          inventory: source._id,
+          school: req.user.school._id,
+          user: req.user._id,
+          action: 'merge',
+          changes: [
+            { field: 'mergedInto', before: null, after: { _id: target._id, name: target.name } },
+            { field: 'isActive', before: true, after: false }
+          ]
+        }))
+      ], { session });
+    });
+    
+    await target.populate('category', 'name color');
+    
+    res.json({
+      message: 'Items merged successfully',
+      item: target,
+      merged: mergedFrom,
+      transactionsMoved
+    });
+  } catch (error) {
+    // The target or a source was saved by someone else while we merged
+    if (error instanceof mongoose.Error.VersionError) {
+      const current = await Inventory.findById(req.body.target).populate('category', 'name color');
+      if (!current) {
+        return res.status(404).json({ message: 'Target item not found' });
+      }
+      return sendVersionConflict(res, current, 'Inventory item');
+    }
+    console.error('Merge inventory error:', error);
+    res.status(500).json({ message: 'Failed to merge items', error: error.message });
+  }
+});
+
+// Add a variant (size, colour, ...) under a parent item
+router.post('/:id/variants', auth, checkPermission('canManageInventory'), validateVariant, async (req, res) => {
+  try {
+    const parent = await Inventory.findOne({
+      _id: req.params.id,
+      school: req.user.school._id,
+      isActive: true
+    });
+    
+    if (!parent) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+    
+    if (parent.parent) {
+      return res.status(400).json({ message: 'Variants cannot have variants of their own' });
+    }
+    
+    if (parent.trackAssets) {
+      return res.status(400).json({ message: 'Items with serialized assets cannot have variants' });
+    }
+    
+    if (!parent.hasVariants && parent.quantity > 0) {
+      return res.status(400).json({
+        message: 'Move this item\'s stock to zero before adding variants; stock is then held per variant',
+        quantity: parent.quantity
+      });
+    }
+    
+    const barcodeConflict = await Inventory.findBarcodeConflict(req.user.school._id, req.body.barcode);
+    if (barcodeConflict) {
+      return res.status(400).json({
+        message: 'Barcode already assigned to another item',
+        conflictingItem: barcodeConflict
+      });
+    }
+    
+    const { variantAttributes, location, locations, quantity = 0 } = req.body;
+    const attributeLabel = Object.values(variantAttributes).join(' / ');
+    
+    // Variants inherit everything they do not override from the parent
+    const variant = new Inventory({
+      name: req.body.name || `${parent.name} - ${attributeLabel}`,
+      description: req.body.description ?? parent.description,
+      category: parent.category,
+      school: req.user.school._id,
+      parent: parent._id,
+      variantAttributes,
+      unit: req.body.unit || parent.unit,
+      minThreshold: req.body.minThreshold ?? parent.minThreshold,
+      maxThreshold: req.body.maxThreshold ?? parent.maxThreshold,
+      cost: req.body.cost ?? parent.cost,
+      supplier: req.body.supplier || parent.supplier,
+      barcode: req.body.barcode,
+      trackLots: req.body.trackLots ?? parent.trackLots,
+      locations: locations || [{ name: location || Inventory.DEFAULT_LOCATION, quantity }]
+    });
+    
+    if (variant.trackLots && req.body.lotNumber) {
+      variant.lots = [{
+        lotNumber: req.body.lotNumber,
+        expiryDate: req.body.expiryDate,
+        quantity: variant.locations.reduce((sum, loc) => sum + loc.quantity, 0)
+      }];
+    }
+    
+    if (!parent.hasVariants) {
+      parent.hasVariants = true;
+      parent.locations = [];
+      await parent.save();
+    }
+    
+    await variant.save();
+    await recordInitialStock(variant, req.user);
+    
+    res.status(201).json({
+      message: 'Variant created successfully',
+      item: variant
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Barcode already assigned to another item' });
+    }
+    console.error('Create variant error:', error);
+    res.status(500).json({ message: 'Failed to create variant', error: error.message });
+  }
+});
+
 // Update inventory item
 router.put('/:id', auth, checkPermission('canManageInventory'), validateInventory, async (req, res) => {
   try {
@@ -154,37 +1189,320 @@ router.put('/:id', auth, checkPermission('canManageInventory'), validateInventor
       return res.status(404).json({ message: 'Inventory item not found' });
     }
     
-    const previousQuantity = item.quantity;
-    Object.assign(item, req.body);
-    await item.save();
-    await item.populate('category', 'name color');
+    // Refuse edits made against an older version (ETag / If-Match or `version`)
+    if (isStale(req, item)) {
+      await item.populate('category', 'name color');
+      return sendVersionConflict(res, item, 'Inventory item');
+    }
     
-    // Create adjustment transaction if quantity changed
-    if (previousQuantity !== item.quantity) {
-      const transaction = new Transaction({
-        type: 'adjustment',
-        inventory: item._id,
-        school: req.user.school._id,
-        user: req.user._id,
-        quantity: item.quantity - previousQuantity,
-        previousQuantity,
-        newQuantity: item.quantity,
-        reason: 'Manual adjustment',
-        cost: item.cost || 0
+    const barcodeConflict = await Inventory.findBarcodeConflict(req.user.school._id, req.body.barcode, item._id);
+    if (barcodeConflict) {
+      return res.status(400).json({
+        message: 'Barcode already assigned to another item',
+        conflictingItem: barcodeConflict
       });
-      await transaction.save();
     }
     
+    const previousLocations = item.locations.map(loc => loc.toObject());
+    const previousCategory = item.category.toString();
+    const previousSnapshot = snapshotItem(item);
+    const {
+      location,
+      locations,
+      quantity,
+      parent,
+      hasVariants,
+      trackAssets,
+      lots,
+      attachments,
+      thumbnail,
+      customFields,
+      version,
+      __v,
+      ...updates
+    } = req.body;
+    
+    const fields = await getFieldsForCategory(req.user.school._id, updates.category || item.category);
+    const custom = validateCustomFieldValues(
+      fields,
+      customFields,
+      item.customFields ? Object.fromEntries(item.customFields) : {}
+    );
+    if (custom.errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: custom.errors });
+    }
+    
+    // Lot balances only change through transactions that name the lot. The
+    // locations sent back unchanged from a GET are not a change.
+    const locationsChanged = Boolean(locations) && diffLocations(item.locations, locations).length > 0;
+    const quantityChanged = locationsChanged || (quantity !== undefined && quantity !== item.quantity);
+    if (item.trackLots && quantityChanged) {
+      return res.status(400).json({
+        message: 'Stock of lot-tracked items must be changed with a transaction that names the lot'
+      });
+    }
+    if (item.trackAssets && quantityChanged) {
+      return res.status(400).json({
+        message: 'Stock of this item is counted from its serialized assets; use the asset actions instead'
+      });
+    }
+    
+    Object.assign(item, updates);
+    item.customFields = custom.values;
+    
+    // A parent's quantity is rolled up from its variants, so stock is only
+    // edited here for regular items and the variants themselves
+    if (!item.hasVariants && locations) {
+      item.locations = locations;
+    } else if (!item.hasVariants && quantity !== undefined && quantity !== item.quantity) {
+      // A new total is applied to a single location
+      const target = item.resolveLocation(location);
+      if (!target) {
+        return res.status(400).json({
+          message: 'Location is required to adjust an item stocked in multiple locations',
+          locations: item.locations.map(loc => loc.name)
+        });
+      }
+      
+      const delta = quantity - item.quantity;
+      if (item.getLocationQuantity(target) + delta < 0) {
+        return res.status(400).json({
+          message: 'Adjustment would leave a negative quantity at this location',
+          location: target,
+          available: item.getLocationQuantity(target)
+        });
+      }
+      item.adjustLocationQuantity(target, delta);
+    }
+    
+    // The item, its adjustment transactions and the edit history entry are
+    // written together, so a stock change never goes unrecorded
+    await mongoose.connection.transaction(async (session) => {
+      await item.save({ session });
+      const changes = diffSnapshots(previousSnapshot, snapshotItem(item));
+      
+      // Variants always share their parent's category
+      if (item.hasVariants && item.category.toString() !== previousCategory) {
+        await Inventory.updateMany({ parent: item._id }, { $set: { category: item.category } }, { session });
+      }
+      
+      // Create an adjustment transaction for every location that changed.
+      // Rebuilt on every attempt, as the driver may retry the callback.
+      const adjustments = [];
+      let runningQuantity = previousLocations.reduce((sum, loc) => sum + loc.quantity, 0);
+      for (const change of diffLocations(previousLocations, item.locations)) {
+        const transaction = new Transaction({
+          type: 'adjustment',
+          inventory: item._id,
+          school: req.user.school._id,
+          user: req.user._id,
+          quantity: change.delta,
+          previousQuantity: runningQuantity,
+          newQuantity: runningQuantity + change.delta,
+          reason: 'Manual adjustment',
+          cost: item.cost || 0,
+          location: change.delta > 0 ? { to: change.name } : { from: change.name }
+        });
+        runningQuantity += change.delta;
+        await transaction.save({ session });
+        adjustments.push(transaction._id);
+      }
+      
+      if (changes.length > 0 || adjustments.length > 0) {
+        await InventoryEdit.create([{
+          inventory: item._id,
+          school: req.user.school._id,
+          user: req.user._id,
+          action: 'update',
+          changes,
+          transactions: adjustments
+        }], { session });
+      }
+    });
+    
+    await item.populate('category', 'name color');
+    
+    setETag(res, item);
     res.json({
       message: 'Inventory item updated successfully',
       item
     });
   } catch (error) {
+    // Someone else saved the item between our read and our write
+    if (error instanceof mongoose.Error.VersionError) {
+      const current = await Inventory.findById(req.params.id).populate('category', 'name color');
+      // Deleted or purged in the meantime
+      if (!current) {
+        return res.status(404).json({ message: 'Inventory item not found' });
+      }
+      return sendVersionConflict(res, current, 'Inventory item');
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Barcode already assigned to another item' });
+    }
+    // e.g. a base unit change that leaves a conversion without a path back
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Update inventory error:', error);
     res.status(500).json({ message: 'Failed to update inventory item', error: error.message });
   }
 });
 
+// Uploads are written to a directory named after the item, so the item is
+// looked up before anything reaches the disk
+const findAttachmentItem = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid inventory ID' });
+    }
+    
+    req.item = await Inventory.findOne({
+      _id: req.params.id,
+      school: req.user.school._id,
+      isActive: true
+    }).select('_id');
+    
+    if (!req.item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+    
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to upload attachment', error: error.message });
+  }
+};
+
+// Upload a photo or document for an item
+router.post('/:id/attachments', auth, checkPermission('canManageInventory'), findAttachmentItem, uploadAttachment, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a file in the "file" field' });
+    }
+    
+    const item = await Inventory.findOne({
+      _id: req.params.id,
+      school: req.user.school._id,
+      isActive: true
+    });
+    
+    if (!item) {
+      await fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+    
+    item.attachments.push({
+      kind: req.file.mimetype.startsWith('image/') ? 'photo' : 'document',
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      storageKey: toStorageKey(req.file.path),
+      description: req.body.description,
+      uploadedBy: req.user._id
+    });
+    const attachment = item.attachments[item.attachments.length - 1];
+    
+    // The first photo becomes the thumbnail unless another one is chosen
+    if (attachment.kind === 'photo' && (!item.thumbnail || req.body.isThumbnail === 'true')) {
+      item.thumbnail = attachment._id;
+    }
+    
+    await item.save();
+    
+    res.status(201).json({
+      message: 'Attachment uploaded successfully',
+      attachment: describeAttachment(item, attachment)
+    });
+  } catch (error) {
+    if (req.file) {
+      await fs.promises.unlink(req.file.path).catch(() => {});
+    }
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: 'Failed to upload attachment', error: error.message });
+  }
+});
+
+// List an item's attachments
+router.get('/:id/attachments', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const item = await Inventory.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    }).select('attachments thumbnail');
+    
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+    
+    res.json({
+      thumbnail: item.thumbnail,
+      attachments: item.attachments.map(attachment => describeAttachment(item, attachment))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch attachments', error: error.message });
+  }
+});
+
+// Download an attachment
+router.get('/:id/attachments/:attachmentId/download', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const item = await Inventory.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    }).select('attachments');
+    
+    const attachment = item?.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    
+    const filePath = resolveStoragePath(attachment.storageKey);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ message: 'Attachment file is missing from storage' });
+    }
+    
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader(
+      'Content-Disposition',
+      `${req.query.inline === 'true' ? 'inline' : 'attachment'}; filename="${encodeURIComponent(attachment.originalName)}"`
+    );
+    res.sendFile(filePath);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to download attachment', error: error.message });
+  }
+});
+
+// Delete an attachment and its file
+router.delete('/:id/attachments/:attachmentId', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const item = await Inventory.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    });
+    
+    const attachment = item?.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    
+    const storageKey = attachment.storageKey;
+    item.attachments.pull(attachment._id);
+    
+    // Fall back to the next photo when the thumbnail is removed
+    if (item.thumbnail && item.thumbnail.equals(attachment._id)) {
+      const nextPhoto = item.attachments.find(entry => entry.kind === 'photo');
+      item.thumbnail = nextPhoto ? nextPhoto._id : null;
+    }
+    
+    await item.save();
+    await removeStoredFile(storageKey);
+    
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to delete attachment', error: error.message });
+  }
+});
+
 // Delete inventory item (soft delete)
 router.delete('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
   try {
@@ -197,27 +1515,76 @@ router.delete('/:id', auth, checkPermission('canManageInventory'), async (req, r
       return res.status(404).json({ message: 'Inventory item not found' });
     }
     
+    if (!item.isActive) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+    
     item.isActive = false;
+    item.deletedAt = new Date();
+    item.deletedBy = req.user._id;
     await item.save();
     
+    const deletion = {
+      school: req.user.school._id,
+      user: req.user._id,
+      action: 'delete',
+      changes: [{ field: 'isActive', before: true, after: false }]
+    };
+    
+    // Deleting a parent removes its variants with it
+    let variantIds = [];
+    if (item.hasVariants) {
+      variantIds = await Inventory.find({ parent: item._id, isActive: true }).distinct('_id');
+      await Inventory.updateMany(
+        { _id: { $in: variantIds } },
+        { $set: { isActive: false, deletedAt: item.deletedAt, deletedBy: req.user._id } }
+      );
+    }
+    
+    await InventoryEdit.insertMany(
+      [item._id, ...variantIds].map(id => ({ ...deletion, inventory: id }))
+    );
+    
     res.json({ message: 'Inventory item deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Failed to delete inventory item', error: error.message });
   }
 });
 
-// Get low stock items
+// Get low stock items. Parents are judged on their rolled-up total and also
+// listed when any of their variants is low on its own thresholds.
 router.get('/alerts/low-stock', auth, checkPermission('canViewReports'), async (req, res) => {
   try {
-    const items = await Inventory.find({
-      school: req.user.school._id,
-      isActive: true,
-      $expr: { $lte: ['$quantity', '$minThreshold'] }
-    })
-    .populate('category', 'name color')
-    .sort({ quantity: 1 });
+    const lowStock = { $expr: { $lte: ['$quantity', '$minThreshold'] } };
+    
+    const [items, lowVariants] = await Promise.all([
+      Inventory.find({
+        school: req.user.school._id,
+        isActive: true,
+        parent: null,
+        ...lowStock
+      }),
+      Inventory.find({
+        school: req.user.school._id,
+        isActive: true,
+        parent: { $ne: null },
+        ...lowStock
+      }).select('parent')
+    ]);
+    
+    const listedIds = new Set(items.map(item => item._id.toString()));
+    const extraParentIds = lowVariants
+      .map(variant => variant.parent.toString())
+      .filter(id => !listedIds.has(id));
+    
+    const parents = extraParentIds.length > 0
+      ? await Inventory.find({ _id: { $in: [...new Set(extraParentIds)] }, isActive: true })
+      : [];
+    
+    const alerts = [...items, ...parents].sort((a, b) => a.quantity - b.quantity);
+    await Inventory.populate(alerts, { path: 'category', select: 'name color' });
     
-    res.json(items);
+    res.json(await withVariants(alerts, lowStock));
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch low stock items', error: error.message });
   }
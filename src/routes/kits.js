@@ -0,0 +1,298 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Kit = require('../models/Kit');
+const Inventory = require('../models/Inventory');
+const Transaction = require('../models/Transaction');
+const Reservation = require('../models/Reservation');
+const Classroom = require('../models/Classroom');
+const { auth, checkPermission } = require('../middleware/auth');
+const { validateKit, validateKitCheckout } = require('../middleware/validation');
+const {
+  applyStockMovement,
+  checkReservedStock,
+  commitStockMovements,
+  StockMovementError
+} = require('../utils/stockMovements');
+const { escapeRegex } = require('../utils/search');
+
+const router = express.Router();
+
+// Components must be the school's active items that hold stock themselves and
+// can be checked out by quantity
+const checkComponents = async (schoolId, components) => {
+  const ids = components.map(component => component.inventory);
+  const items = await Inventory.find({ _id: { $in: ids }, school: schoolId, isActive: true })
+    .select('name hasVariants trackAssets');
+  const byId = new Map(items.map(item => [item._id.toString(), item]));
+  
+  const errors = [];
+  components.forEach((component, index) => {
+    const item = byId.get(String(component.inventory));
+    if (!item) {
+      errors.push({ component: index, inventory: component.inventory, message: 'Inventory item not found' });
+    } else if (item.hasVariants) {
+      errors.push({
+        component: index,
+        inventory: component.inventory,
+        item: item.name,
+        message: 'Stock is held on the variants of this item; choose a variant'
+      });
+    } else if (item.trackAssets) {
+      errors.push({
+        component: index,
+        inventory: component.inventory,
+        item: item.name,
+        message: 'Stock of this item is counted from its serialized assets; use the asset actions instead'
+      });
+    }
+  });
+  return errors;
+};
+
+// Get all kits with how many can be made from current stock, at ?location=
+// or across all locations
+router.get('/', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { search = '', location = '' } = req.query;
+    const query = { school: req.user.school._id, isActive: true };
+    
+    if (search) {
+      query.name = { $regex: escapeRegex(search), $options: 'i' };
+    }
+    
+    const kits = await Kit.find(query).sort({ name: 1 });
+    
+    res.json(await Kit.withAvailability(kits, location || null));
+  } catch (error) {
+    console.error('Get kits error:', error);
+    res.status(500).json({ message: 'Failed to fetch kits', error: error.message });
+  }
+});
+
+// Get single kit
+router.get('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const kit = await Kit.findOne({
+      _id: req.params.id,
+      school: req.user.school._id,
+      isActive: true
+    });
+    
+    if (!kit) {
+      return res.status(404).json({ message: 'Kit not found' });
+    }
+    
+    const [result] = await Kit.withAvailability([kit], req.query.location || null);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch kit', error: error.message });
+  }
+});
+
+// Create kit
+router.post('/', auth, checkPermission('canManageInventory'), validateKit, async (req, res) => {
+  try {
+    const { name, description, components } = req.body;
+    
+    const errors = await checkComponents(req.user.school._id, components);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid kit components', errors });
+    }
+    
+    const kit = new Kit({
+      name,
+      description,
+      components,
+      school: req.user.school._id
+    });
+    await kit.save();
+    
+    const [result] = await Kit.withAvailability([kit]);
+    res.status(201).json({
+      message: 'Kit created successfully',
+      kit: result
+    });
+  } catch (error) {
+    console.error('Create kit error:', error);
+    res.status(500).json({ message: 'Failed to create kit', error: error.message });
+  }
+});
+
+// Update kit
+router.put('/:id', auth, checkPermission('canManageInventory'), validateKit, async (req, res) => {
+  try {
+    const kit = await Kit.findOne({
+      _id: req.params.id,
+      school: req.user.school._id,
+      isActive: true
+    });
+    
+    if (!kit) {
+      return res.status(404).json({ message: 'Kit not found' });
+    }
+    
+    const { name, description, components } = req.body;
+    
+    const errors = await checkComponents(req.user.school._id, components);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid kit components', errors });
+    }
+    
+    Object.assign(kit, { name, description, components });
+    await kit.save();
+    
+    const [result] = await Kit.withAvailability([kit]);
+    res.json({
+      message: 'Kit updated successfully',
+      kit: result
+    });
+  } catch (error) {
+    console.error('Update kit error:', error);
+    res.status(500).json({ message: 'Failed to update kit', error: error.message });
+  }
+});
+
+// Delete kit (soft delete). Component items are not affected.
+router.delete('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const kit = await Kit.findOne({
+      _id: req.params.id,
+      school: req.user.school._id,
+      isActive: true
+    });
+    
+    if (!kit) {
+      return res.status(404).json({ message: 'Kit not found' });
+    }
+    
+    kit.isActive = false;
+    await kit.save();
+    
+    res.json({ message: 'Kit deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to delete kit', error: error.message });
+  }
+});
+
+// Check out one or more kits: a check-out transaction per component, all
+// under one reference, applied all-or-nothing
+router.post('/:id/check-out', auth, checkPermission('canManageTransactions'), validateKitCheckout, async (req, res) => {
+  try {
+    const { quantity = 1, location, notes, classroom } = req.body;
+    
+    const kit = await Kit.findOne({
+      _id: req.params.id,
+      school: req.user.school._id,
+      isActive: true
+    });
+    
+    if (!kit) {
+      return res.status(404).json({ message: 'Kit not found' });
+    }
+    
+    if (classroom && !(await Classroom.exists({ _id: classroom, school: req.user.school._id, isActive: true }))) {
+      return res.status(404).json({ message: 'Classroom not found' });
+    }
+    
+    const reference = req.body.reference || `KIT-${Date.now()}`;
+    const reason = req.body.reason || `Kit check-out: ${kit.name}`;
+    
+    const result = await commitStockMovements(async () => {
+      const inventories = await Inventory.find({
+        _id: { $in: kit.components.map(component => component.inventory) },
+        school: req.user.school._id,
+        isActive: true
+      });
+      const byId = new Map(inventories.map(item => [item._id.toString(), item]));
+      const reserved = await Reservation.reservedQuantities(inventories.map(item => item._id));
+      
+      const errors = [];
+      const movements = [];
+      kit.components.forEach((component, index) => {
+        const inventory = byId.get(component.inventory.toString());
+        if (!inventory) {
+          errors.push({ component: index, inventory: component.inventory, message: 'Inventory item not found' });
+          return;
+        }
+        
+        try {
+          const movement = applyStockMovement(inventory, {
+            type: 'check-out',
+            quantity: component.quantity * quantity,
+            location
+          });
+          checkReservedStock(inventory, 'check-out', movement, reserved.get(inventory._id.toString()));
+          movements.push({ inventory, movement });
+        } catch (error) {
+          if (!(error instanceof StockMovementError)) throw error;
+          errors.push({
+            component: index,
+            inventory: component.inventory,
+            item: inventory.name,
+            message: error.message,
+            ...error.details
+          });
+        }
+      });
+      
+      if (errors.length > 0) {
+        return { errors };
+      }
+      
+      return {
+        inventories,
+        movements,
+        transactions: movements.map(({ inventory, movement }) => new Transaction({
+          type: 'check-out',
+          inventory: inventory._id,
+          school: req.user.school._id,
+          user: req.user._id,
+          quantity: movement.quantity,
+          previousQuantity: movement.previousQuantity,
+          newQuantity: movement.newQuantity,
+          reason,
+          notes,
+          reference,
+          cost: inventory.cost || 0,
+          location: movement.location,
+          lots: movement.lots,
+          classroom
+        }))
+      };
+    });
+    
+    if (result.errors) {
+      return res.status(400).json({
+        message: 'Kit could not be checked out; no changes were made',
+        errors: result.errors
+      });
+    }
+    
+    const { movements, transactions } = result;
+    const [availability] = await Kit.withAvailability([kit], location || null);
+    
+    res.status(201).json({
+      message: 'Kit checked out successfully',
+      reference,
+      quantity,
+      transactions: movements.map(({ inventory, movement }, i) => ({
+        transaction: transactions[i]._id,
+        inventory: inventory._id,
+        name: inventory.name,
+        quantity: movement.quantity,
+        location: movement.location,
+        lots: movement.lots,
+        newQuantity: movement.newQuantity
+      })),
+      kit: availability
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Item stock is changing rapidly; please try again' });
+    }
+    console.error('Kit check-out error:', error);
+    res.status(500).json({ message: 'Failed to check out kit', error: error.message });
+  }
+});
+
+module.exports = router;
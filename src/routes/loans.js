@@ -0,0 +1,135 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const { auth, checkPermission } = require('../middleware/auth');
+const { validateLoanExtension } = require('../middleware/validation');
+const { escapeRegex } = require('../utils/search');
+const { parseLimit } = require('../utils/pagination');
+
+const router = express.Router();
+
+const populateLoan = [
+  { path: 'inventory', select: 'name unit' },
+  { path: 'borrower.user', select: 'name email' },
+  { path: 'borrower.classroom', select: 'name kind' },
+  { path: 'loanedBy', select: 'name email' }
+];
+
+// Get loans, soonest due first. Loans are opened and returned through
+// POST /api/transactions. Filters: status (open, returned, overdue), borrower
+// type, borrower user, borrowing classroom, borrower name search and item.
+router.get('/', auth, checkPermission('canManageTransactions'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = '',
+      borrowerType = '',
+      borrower = '',
+      classroom = '',
+      search = '',
+      inventory = ''
+    } = req.query;
+    
+    if ([borrower, classroom, inventory].some(id => id && !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid borrower, classroom or inventory ID' });
+    }
+    
+    const query = { school: req.user.school._id };
+    
+    if (status === 'overdue') {
+      query.status = 'open';
+      query.dueDate = { $lt: new Date() };
+    } else if (status) {
+      query.status = status;
+    }
+    if (borrowerType) query['borrower.type'] = borrowerType;
+    if (borrower) query['borrower.user'] = borrower;
+    if (classroom) query['borrower.classroom'] = classroom;
+    if (search) query['borrower.name'] = { $regex: escapeRegex(search), $options: 'i' };
+    if (inventory) query.inventory = inventory;
+    
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseLimit(limit, 20);
+    
+    const [loans, total] = await Promise.all([
+      Loan.find(query)
+        .populate(populateLoan)
+        .sort({ dueDate: 1, _id: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Loan.countDocuments(query)
+    ]);
+    
+    res.json({
+      loans,
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total,
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    console.error('Get loans error:', error);
+    res.status(500).json({ message: 'Failed to fetch loans', error: error.message });
+  }
+});
+
+// Get single loan with its check-out and return transactions
+router.get('/:id', auth, checkPermission('canManageTransactions'), async (req, res) => {
+  try {
+    const loan = await Loan.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    })
+    .populate(populateLoan)
+    .populate({
+      path: 'checkoutTransaction returnTransactions',
+      select: 'type quantity location lots user createdAt',
+      populate: { path: 'user', select: 'name email' }
+    });
+    
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+    
+    res.json(loan);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch loan', error: error.message });
+  }
+});
+
+// Move the due date of an open loan
+router.post('/:id/extend', auth, checkPermission('canManageTransactions'), validateLoanExtension, async (req, res) => {
+  try {
+    const loan = await Loan.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    });
+    
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+    
+    if (loan.status !== 'open') {
+      return res.status(400).json({ message: 'Loan has already been returned' });
+    }
+    
+    loan.dueDate = req.body.dueDate;
+    if (req.body.notes) {
+      loan.notes = req.body.notes;
+    }
+    await loan.save();
+    await loan.populate(populateLoan);
+    
+    res.json({
+      message: 'Loan extended successfully',
+      loan
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to extend loan', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,66 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Inventory = require('../models/Inventory');
 const Transaction = require('../models/Transaction');
 const Category = require('../models/Category');
+const CustomField = require('../models/CustomField');
+const Loan = require('../models/Loan');
+const Classroom = require('../models/Classroom');
 const { auth, checkPermission } = require('../middleware/auth');
 const { buildWorkbook } = require('../utils/exporters/excel');
 const { buildPdfBuffer } = require('../utils/exporters/pdf');
+const { formatValue } = require('../utils/customFields');
+const { convertForDisplay } = require('../utils/units');
 
 const router = express.Router();
 
+// Active custom field definitions when ?includeCustomFields=true, else none
+const getExportCustomFields = async (schoolId, includeCustomFields) => {
+  if (includeCustomFields !== 'true') return [];
+  return CustomField.find({ school: schoolId, isActive: true }).sort({ label: 1 });
+};
+
+const customFieldCells = (item, fields) =>
+  fields.map(field => formatValue(field, item.customFields?.get(field.key)));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lots of lot-tracked items that have expired or expire within `days`,
+// one row per lot, earliest expiry first
+const getExpiringLots = async (schoolId, days) => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+
+  const items = await Inventory.find({
+    school: schoolId,
+    isActive: true,
+    trackLots: true,
+    'lots.expiryDate': { $lte: horizon }
+  }).populate('category', 'name color');
+
+  const rows = [];
+  items.forEach(item => {
+    item.lots.forEach(lot => {
+      if (!lot.expiryDate || lot.expiryDate > horizon || lot.quantity <= 0) return;
+      rows.push({
+        inventory: item._id,
+        name: item.name,
+        category: item.category?.name || '',
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        quantity: lot.quantity,
+        unit: item.unit,
+        cost: item.cost || 0,
+        value: lot.quantity * (item.cost || 0),
+        status: lot.expiryDate < now ? 'expired' : 'expiring',
+        daysUntilExpiry: Math.ceil((lot.expiryDate - now) / DAY_MS)
+      });
+    });
+  });
+
+  return rows.sort((a, b) => a.expiryDate - b.expiryDate);
+};
+
 // Dashboard statistics
 router.get('/dashboard', auth, checkPermission('canViewReports'), async (req, res) => {
   try {
@@ -22,8 +75,8 @@ router.get('/dashboard', auth, checkPermission('canViewReports'), async (req, re
       recentTransactions,
       categoryDistribution
     ] = await Promise.all([
-      // Total active inventory items
-      Inventory.countDocuments({ school: schoolId, isActive: true }),
+      // Total active inventory items (variants count under their parent)
+      Inventory.countDocuments({ school: schoolId, isActive: true, parent: null }),
       
       // Total active categories
       Category.countDocuments({ school: schoolId, isActive: true }),
@@ -32,6 +85,7 @@ router.get('/dashboard', auth, checkPermission('canViewReports'), async (req, re
       Inventory.countDocuments({
         school: schoolId,
         isActive: true,
+        hasVariants: { $ne: true },
         $expr: { $lte: ['$quantity', '$minThreshold'] }
       }),
       
@@ -39,12 +93,13 @@ router.get('/dashboard', auth, checkPermission('canViewReports'), async (req, re
       Inventory.countDocuments({
         school: schoolId,
         isActive: true,
+        hasVariants: { $ne: true },
         quantity: 0
       }),
       
-      // Total inventory value
+      // Total inventory value (parents hold no stock of their own)
       Inventory.aggregate([
-        { $match: { school: schoolId, isActive: true } },
+        { $match: { school: schoolId, isActive: true, hasVariants: { $ne: true } } },
         { $group: { _id: null, total: { $sum: { $multiply: ['$quantity', '$cost'] } } } }
       ]),
       
@@ -57,7 +112,7 @@ router.get('/dashboard', auth, checkPermission('canViewReports'), async (req, re
       
       // Category distribution
       Inventory.aggregate([
-        { $match: { school: schoolId, isActive: true } },
+        { $match: { school: schoolId, isActive: true, hasVariants: { $ne: true } } },
         { $group: { _id: '$category', count: { $sum: 1 }, totalValue: { $sum: { $multiply: ['$quantity', '$cost'] } } } },
         { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
         { $unwind: '$category' },
@@ -87,15 +142,20 @@ router.get('/dashboard', auth, checkPermission('canViewReports'), async (req, re
  */
 router.get('/inventory', auth, checkPermission('canViewReports'), async (req, res) => {
   try {
-    const { category, status } = req.query;
+    const { category, status, location, unit } = req.query;
     const schoolId = req.user.school._id;
 
-    const query = { school: schoolId, isActive: true };
+    // Parents only roll up their variants' stock, so they are left out
+    const query = { school: schoolId, isActive: true, hasVariants: { $ne: true } };
 
     if (category) {
       query.category = category;
     }
 
+    if (location) {
+      query['locations.name'] = location;
+    }
+
     if (status) {
       switch (status) {
         case 'low-stock':
@@ -114,6 +174,23 @@ router.get('/inventory', auth, checkPermission('canViewReports'), async (req, re
       .populate('category', 'name color')
       .sort({ name: 1 });
 
+    // Stock grouped by location (only the filtered location when one is given)
+    const locationTotals = {};
+    items.forEach(item => {
+      item.locations
+        .filter(loc => !location || loc.name === location)
+        .forEach(loc => {
+          if (!locationTotals[loc.name]) {
+            locationTotals[loc.name] = { name: loc.name, itemCount: 0, totalQuantity: 0, totalValue: 0 };
+          }
+          const entry = locationTotals[loc.name];
+          entry.itemCount += 1;
+          entry.totalQuantity += loc.quantity;
+          entry.totalValue += loc.quantity * item.cost;
+        });
+    });
+    const byLocation = Object.values(locationTotals).sort((a, b) => a.name.localeCompare(b.name));
+
     const summary = {
       totalItems: items.length,
       totalValue: items.reduce((sum, item) => sum + (item.quantity * item.cost), 0),
@@ -123,7 +200,11 @@ router.get('/inventory', auth, checkPermission('canViewReports'), async (req, re
 
     res.json({
       summary,
-      items,
+      byLocation,
+      // With ?unit=, items that define that unit also report their stock in it
+      items: unit
+        ? items.map(item => ({ ...item.toJSON(), display: convertForDisplay(item, item.quantity, unit) }))
+        : items,
       generatedAt: new Date().toISOString()
     });
   } catch (error) {
@@ -136,12 +217,14 @@ router.get('/inventory', auth, checkPermission('canViewReports'), async (req, re
  */
 router.get('/inventory/excel', auth, checkPermission('canViewReports'), async (req, res) => {
   try {
-    const { category, status } = req.query;
+    const { category, status, location, includeCustomFields, unit } = req.query;
     const schoolId = req.user.school._id;
 
-    const query = { school: schoolId, isActive: true };
+    // Parents only roll up their variants' stock, so they are left out
+    const query = { school: schoolId, isActive: true, hasVariants: { $ne: true } };
 
     if (category) query.category = category;
+    if (location) query['locations.name'] = location;
 
     if (status) {
       switch (status) {
@@ -158,25 +241,34 @@ router.get('/inventory/excel', auth, checkPermission('canViewReports'), async (r
     }
 
     const items = await Inventory.find(query).populate('category', 'name color').sort({ name: 1 });
-
-    const columns = ['Item Name', 'Category', 'Quantity', 'Unit', 'Min Threshold', 'Max Threshold', 'Unit Cost', 'Value'];
-    const rows = items.map(i => [
-      i.name,
-      i.category?.name || '',
-      i.quantity,
-      i.unit,
-      i.minThreshold,
-      i.maxThreshold,
-      i.cost,
-      (i.quantity * i.cost),
-    ]);
+    const customFields = await getExportCustomFields(schoolId, includeCustomFields);
+
+    const columns = ['Item Name', 'Category', 'Quantity', 'Unit', 'Min Threshold', 'Max Threshold', 'Unit Cost', 'Value', 'Locations']
+      .concat(customFields.map(field => field.label));
+    const rows = items.map(i => {
+      // Quantities in ?unit= where the item defines it, otherwise the base unit
+      const shown = convertForDisplay(i, i.quantity, unit);
+      const inShownUnit = (quantity) => convertForDisplay(i, quantity, unit).quantity;
+      return [
+        i.name,
+        i.category?.name || '',
+        shown.quantity,
+        shown.unit,
+        inShownUnit(i.minThreshold),
+        inShownUnit(i.maxThreshold),
+        i.cost * shown.factor,
+        (i.quantity * i.cost),
+        i.locations.map(loc => `${loc.name}: ${inShownUnit(loc.quantity)}`).join(', '),
+        ...customFieldCells(i, customFields),
+      ];
+    });
 
     const buffer = await buildWorkbook({
       type: 'Inventory',
       title: 'Inventory Report',
       columns,
       rows,
-      numberFormats: { '3': '#,##0', '5': '#,##0', '6': '#,##0.00', '7': '#,##0.00' },
+      numberFormats: { '3': unit ? '#,##0.00' : '#,##0', '5': '#,##0', '6': '#,##0.00', '7': '#,##0.00' },
       createdAt: new Date(),
     });
 
@@ -194,12 +286,14 @@ router.get('/inventory/excel', auth, checkPermission('canViewReports'), async (r
  */
 router.get('/inventory/pdf', auth, checkPermission('canViewReports'), async (req, res) => {
   try {
-    const { category, status } = req.query;
+    const { category, status, location, includeCustomFields, unit } = req.query;
     const schoolId = req.user.school._id;
 
-    const query = { school: schoolId, isActive: true };
+    // Parents only roll up their variants' stock, so they are left out
+    const query = { school: schoolId, isActive: true, hasVariants: { $ne: true } };
 
     if (category) query.category = category;
+    if (location) query['locations.name'] = location;
 
     if (status) {
       switch (status) {
@@ -216,18 +310,27 @@ router.get('/inventory/pdf', auth, checkPermission('canViewReports'), async (req
     }
 
     const items = await Inventory.find(query).populate('category', 'name color').sort({ name: 1 });
-
-    const columns = ['Item Name', 'Category', 'Quantity', 'Unit', 'Min Thresh', 'Max Thresh', 'Unit Cost', 'Value'];
-    const rows = items.map(i => [
-      i.name,
-      i.category?.name || '',
-      i.quantity,
-      i.unit,
-      i.minThreshold,
-      i.maxThreshold,
-      i.cost,
-      (i.quantity * i.cost),
-    ]);
+    const customFields = await getExportCustomFields(schoolId, includeCustomFields);
+
+    const columns = ['Item Name', 'Category', 'Quantity', 'Unit', 'Min Thresh', 'Max Thresh', 'Unit Cost', 'Value', 'Locations']
+      .concat(customFields.map(field => field.label));
+    const rows = items.map(i => {
+      // Quantities in ?unit= where the item defines it, otherwise the base unit
+      const shown = convertForDisplay(i, i.quantity, unit);
+      const inShownUnit = (quantity) => convertForDisplay(i, quantity, unit).quantity;
+      return [
+        i.name,
+        i.category?.name || '',
+        shown.quantity,
+        shown.unit,
+        inShownUnit(i.minThreshold),
+        inShownUnit(i.maxThreshold),
+        i.cost * shown.factor,
+        (i.quantity * i.cost),
+        i.locations.map(loc => `${loc.name}: ${inShownUnit(loc.quantity)}`).join(', '),
+        ...customFieldCells(i, customFields),
+      ];
+    });
 
     const buffer = await buildPdfBuffer({
       type: 'Inventory',
@@ -252,7 +355,7 @@ router.get('/inventory/pdf', auth, checkPermission('canViewReports'), async (req
  */
 router.get('/transactions', auth, checkPermission('canViewReports'), async (req, res) => {
   try {
-    const { startDate, endDate, type, user } = req.query;
+    const { startDate, endDate, type, user, unit } = req.query;
     const schoolId = req.user.school._id;
 
     const query = { school: schoolId };
@@ -268,7 +371,7 @@ router.get('/transactions', auth, checkPermission('canViewReports'), async (req,
 
     const [transactions, summary] = await Promise.all([
       Transaction.find(query)
-        .populate('inventory', 'name unit')
+        .populate('inventory', 'name unit unitConversions')
         .populate('user', 'name email')
         .sort({ createdAt: -1 }),
 
@@ -278,6 +381,7 @@ router.get('/transactions', auth, checkPermission('canViewReports'), async (req,
           $group: {
             _id: '$type',
             count: { $sum: 1 },
+            totalQuantity: { $sum: { $abs: '$quantity' } },
             totalValue: { $sum: { $multiply: [{ $abs: '$quantity' }, '$cost'] } }
           }
         }
@@ -286,16 +390,25 @@ router.get('/transactions', auth, checkPermission('canViewReports'), async (req,
 
     const summaryData = {
       totalTransactions: transactions.length,
-      totalValue: summary.reduce((sum, item) => sum + item.totalValue, 0),
+      // Transfers only move stock between locations, so they carry no value
+      totalValue: summary
+        .filter(item => item._id !== 'transfer')
+        .reduce((sum, item) => sum + item.totalValue, 0),
       byType: summary.reduce((acc, item) => {
-        acc[item._id] = { count: item.count, value: item.totalValue };
+        acc[item._id] = { count: item.count, quantity: item.totalQuantity, value: item.totalValue };
         return acc;
       }, {})
     };
 
     res.json({
       summary: summaryData,
-      transactions,
+      // With ?unit=, transactions of items that define that unit also carry the quantity in it
+      transactions: unit
+        ? transactions.map(t => ({
+          ...t.toJSON(),
+          display: t.inventory ? convertForDisplay(t.inventory, t.quantity, unit) : undefined
+        }))
+        : transactions,
       generatedAt: new Date().toISOString()
     });
   } catch (error) {
@@ -308,7 +421,7 @@ router.get('/transactions', auth, checkPermission('canViewReports'), async (req,
  */
 router.get('/transactions/excel', auth, checkPermission('canViewReports'), async (req, res) => {
   try {
-    const { startDate, endDate, type, user } = req.query;
+    const { startDate, endDate, type, user, unit } = req.query;
     const schoolId = req.user.school._id;
 
     const query = { school: schoolId };
@@ -323,23 +436,28 @@ router.get('/transactions/excel', auth, checkPermission('canViewReports'), async
     if (user) query.user = user;
 
     const transactions = await Transaction.find(query)
-      .populate('inventory', 'name unit')
+      .populate('inventory', 'name unit unitConversions')
       .populate('user', 'name email')
       .sort({ createdAt: -1 });
 
-    const columns = ['Date', 'Type', 'Item', 'Quantity', 'Unit', 'User', 'Unit Cost', 'Value'];
+    const columns = ['Date', 'Type', 'Item', 'Quantity', 'Unit', 'User', 'Unit Cost', 'Value', 'From', 'To'];
     const rows = transactions.map(t => {
       const qty = t.quantity;
       const cost = t.cost || 0;
+      const shown = t.inventory
+        ? convertForDisplay(t.inventory, qty, unit)
+        : { quantity: qty, unit: '', factor: 1 };
       return [
         new Date(t.createdAt).toLocaleDateString(),
         t.type,
         t.inventory?.name || '',
-        qty,
-        t.inventory?.unit || '',
+        shown.quantity,
+        shown.unit,
         t.user?.name || '',
-        cost,
-        Math.abs(qty) * cost,
+        cost * shown.factor,
+        t.type === 'transfer' ? 0 : Math.abs(qty) * cost,
+        t.location?.from || '',
+        t.location?.to || '',
       ];
     });
 
@@ -348,7 +466,7 @@ router.get('/transactions/excel', auth, checkPermission('canViewReports'), async
       title: 'Transaction Report',
       columns,
       rows,
-      numberFormats: { '4': '#,##0', '6': '#,##0.00', '7': '#,##0.00' },
+      numberFormats: { '4': unit ? '#,##0.00' : '#,##0', '6': '#,##0.00', '7': '#,##0.00' },
       createdAt: new Date(),
     });
 
@@ -366,7 +484,7 @@ router.get('/transactions/excel', auth, checkPermission('canViewReports'), async
  */
 router.get('/transactions/pdf', auth, checkPermission('canViewReports'), async (req, res) => {
   try {
-    const { startDate, endDate, type, user } = req.query;
+    const { startDate, endDate, type, user, unit } = req.query;
     const schoolId = req.user.school._id;
 
     const query = { school: schoolId };
@@ -381,23 +499,28 @@ router.get('/transactions/pdf', auth, checkPermission('canViewReports'), async (
     if (user) query.user = user;
 
     const transactions = await Transaction.find(query)
-      .populate('inventory', 'name unit')
+      .populate('inventory', 'name unit unitConversions')
       .populate('user', 'name email')
       .sort({ createdAt: -1 });
 
-    const columns = ['Date', 'Type', 'Item', 'Quantity', 'Unit', 'User', 'Unit Cost', 'Value'];
+    const columns = ['Date', 'Type', 'Item', 'Quantity', 'Unit', 'User', 'Unit Cost', 'Value', 'From', 'To'];
     const rows = transactions.map(t => {
       const qty = t.quantity;
       const cost = t.cost || 0;
+      const shown = t.inventory
+        ? convertForDisplay(t.inventory, qty, unit)
+        : { quantity: qty, unit: '', factor: 1 };
       return [
         new Date(t.createdAt).toLocaleDateString(),
         t.type,
         t.inventory?.name || '',
-        qty,
-        t.inventory?.unit || '',
+        shown.quantity,
+        shown.unit,
         t.user?.name || '',
-        cost,
-        Math.abs(qty) * cost,
+        cost * shown.factor,
+        t.type === 'transfer' ? 0 : Math.abs(qty) * cost,
+        t.location?.from || '',
+        t.location?.to || '',
       ];
     });
 
@@ -429,6 +552,7 @@ router.get('/low-stock', auth, checkPermission('canViewReports'), async (req, re
     const items = await Inventory.find({
       school: schoolId,
       isActive: true,
+      hasVariants: { $ne: true },
       $expr: { $lte: ['$quantity', '$minThreshold'] }
     })
     .populate('category', 'name color')
@@ -465,6 +589,7 @@ router.get('/low-stock/excel', auth, checkPermission('canViewReports'), async (r
     const items = await Inventory.find({
       school: schoolId,
       isActive: true,
+      hasVariants: { $ne: true },
       $expr: { $lte: ['$quantity', '$minThreshold'] }
     })
       .populate('category', 'name color')
@@ -521,6 +646,7 @@ router.get('/low-stock/pdf', auth, checkPermission('canViewReports'), async (req
     const items = await Inventory.find({
       school: schoolId,
       isActive: true,
+      hasVariants: { $ne: true },
       $expr: { $lte: ['$quantity', '$minThreshold'] }
     })
       .populate('category', 'name color')
@@ -559,6 +685,400 @@ router.get('/low-stock/pdf', auth, checkPermission('canViewReports'), async (req
   }
 });
 
+/**
+ * Expiring stock report (JSON)
+ */
+router.get('/expiring', auth, checkPermission('canViewReports'), async (req, res) => {
+  try {
+    const days = Math.max(parseInt(req.query.days) || 30, 0);
+    const lots = await getExpiringLots(req.user.school._id, days);
+
+    const expired = lots.filter(lot => lot.status === 'expired');
+    const expiring = lots.filter(lot => lot.status === 'expiring');
+
+    res.json({
+      summary: {
+        windowDays: days,
+        expiredLots: expired.length,
+        expiredQuantity: expired.reduce((sum, lot) => sum + lot.quantity, 0),
+        expiredValue: expired.reduce((sum, lot) => sum + lot.value, 0),
+        expiringLots: expiring.length,
+        expiringQuantity: expiring.reduce((sum, lot) => sum + lot.quantity, 0),
+        expiringValue: expiring.reduce((sum, lot) => sum + lot.value, 0)
+      },
+      lots,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to generate expiring stock report', error: error.message });
+  }
+});
+
+/**
+ * Expiring stock report (Excel)
+ */
+router.get('/expiring/excel', auth, checkPermission('canViewReports'), async (req, res) => {
+  try {
+    const days = Math.max(parseInt(req.query.days) || 30, 0);
+    const lots = await getExpiringLots(req.user.school._id, days);
+
+    const columns = ['Item Name', 'Category', 'Lot', 'Expiry Date', 'Status', 'Quantity', 'Unit', 'Unit Cost', 'Value'];
+    const rows = lots.map(lot => [
+      lot.name,
+      lot.category,
+      lot.lotNumber,
+      new Date(lot.expiryDate).toLocaleDateString(),
+      lot.status,
+      lot.quantity,
+      lot.unit,
+      lot.cost,
+      lot.value,
+    ]);
+
+    const buffer = await buildWorkbook({
+      type: 'Expiring Stock',
+      title: `Expiring Stock Report (next ${days} days)`,
+      columns,
+      rows,
+      numberFormats: { '6': '#,##0', '8': '#,##0.00', '9': '#,##0.00' },
+      createdAt: new Date(),
+    });
+
+    const dateStr = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="report-EXPIRING-${dateStr}.xlsx"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to export expiring stock report', error: error.message });
+  }
+});
+
+/**
+ * Expiring stock report (PDF)
+ */
+router.get('/expiring/pdf', auth, checkPermission('canViewReports'), async (req, res) => {
+  try {
+    const days = Math.max(parseInt(req.query.days) || 30, 0);
+    const lots = await getExpiringLots(req.user.school._id, days);
+
+    const columns = ['Item Name', 'Category', 'Lot', 'Expiry Date', 'Status', 'Quantity', 'Unit', 'Unit Cost', 'Value'];
+    const rows = lots.map(lot => [
+      lot.name,
+      lot.category,
+      lot.lotNumber,
+      new Date(lot.expiryDate).toLocaleDateString(),
+      lot.status,
+      lot.quantity,
+      lot.unit,
+      lot.cost,
+      lot.value,
+    ]);
+
+    const buffer = await buildPdfBuffer({
+      type: 'Expiring Stock',
+      title: `Expiring Stock Report (next ${days} days)`,
+      columns,
+      rows,
+      footerSchool: req.user.school?.name,
+      createdAt: new Date(),
+    });
+
+    const dateStr = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="report-EXPIRING-${dateStr}.pdf"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to export expiring stock report PDF', error: error.message });
+  }
+});
+
+// Open loans past their due date, most overdue first
+const getOverdueLoans = async (schoolId) => {
+  const now = new Date();
+
+  const loans = await Loan.find({ school: schoolId, status: 'open', dueDate: { $lt: now } })
+    .populate('inventory', 'name unit cost')
+    .populate('borrower.user', 'name email')
+    .populate('loanedBy', 'name')
+    .sort({ dueDate: 1 });
+
+  return loans.map(loan => {
+    const cost = loan.inventory?.cost || 0;
+    return {
+      loan: loan._id,
+      inventory: loan.inventory?._id,
+      name: loan.inventory?.name || '',
+      unit: loan.inventory?.unit || '',
+      borrowerType: loan.borrower.type,
+      borrower: loan.borrower.name,
+      contact: loan.borrower.contact || loan.borrower.user?.email || '',
+      quantity: loan.quantity,
+      outstanding: loan.outstanding,
+      loanedAt: loan.createdAt,
+      loanedBy: loan.loanedBy?.name || '',
+      dueDate: loan.dueDate,
+      daysOverdue: Math.floor((now - loan.dueDate) / DAY_MS),
+      cost,
+      value: loan.outstanding * cost
+    };
+  });
+};
+
+const overdueLoanColumns = ['Item Name', 'Borrower', 'Borrower Type', 'Contact', 'Outstanding', 'Unit', 'Loaned On', 'Due Date', 'Days Overdue', 'Value'];
+
+const overdueLoanRow = loan => [
+  loan.name,
+  loan.borrower,
+  loan.borrowerType,
+  loan.contact,
+  loan.outstanding,
+  loan.unit,
+  new Date(loan.loanedAt).toLocaleDateString(),
+  new Date(loan.dueDate).toLocaleDateString(),
+  loan.daysOverdue,
+  loan.value,
+];
+
+router.get('/overdue-loans', auth, checkPermission('canViewReports'), async (req, res) => {
+  try {
+    const loans = await getOverdueLoans(req.user.school._id);
+
+    res.json({
+      summary: {
+        overdueLoans: loans.length,
+        outstandingQuantity: loans.reduce((sum, loan) => sum + loan.outstanding, 0),
+        outstandingValue: loans.reduce((sum, loan) => sum + loan.value, 0),
+        borrowers: new Set(loans.map(loan => `${loan.borrowerType}:${loan.borrower}`)).size
+      },
+      loans,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to generate overdue loans report', error: error.message });
+  }
+});
+
+/**
+ * Overdue loans report (Excel)
+ */
+router.get('/overdue-loans/excel', auth, checkPermission('canViewReports'), async (req, res) => {
+  try {
+    const loans = await getOverdueLoans(req.user.school._id);
+
+    const buffer = await buildWorkbook({
+      type: 'Overdue Loans',
+      title: 'Overdue Loans Report',
+      columns: overdueLoanColumns,
+      rows: loans.map(overdueLoanRow),
+      numberFormats: { '5': '#,##0', '9': '#,##0', '10': '#,##0.00' },
+      createdAt: new Date(),
+    });
+
+    const dateStr = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="report-OVERDUE-LOANS-${dateStr}.xlsx"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to export overdue loans report', error: error.message });
+  }
+});
+
+/**
+ * Overdue loans report (PDF)
+ */
+router.get('/overdue-loans/pdf', auth, checkPermission('canViewReports'), async (req, res) => {
+  try {
+    const loans = await getOverdueLoans(req.user.school._id);
+
+    const buffer = await buildPdfBuffer({
+      type: 'Overdue Loans',
+      title: 'Overdue Loans Report',
+      columns: overdueLoanColumns,
+      rows: loans.map(overdueLoanRow),
+      footerSchool: req.user.school?.name,
+      createdAt: new Date(),
+    });
+
+    const dateStr = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="report-OVERDUE-LOANS-${dateStr}.pdf"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to export overdue loans report PDF', error: error.message });
+  }
+});
+
+/**
+ * Stock checked out to each classroom in a period, broken down by category,
+ * largest value first. Check-outs that named no classroom are grouped as
+ * unassigned; loans are left out as they come back.
+ */
+const getConsumption = async (schoolId, { startDate, endDate, classroom }) => {
+  const match = { school: schoolId, type: 'check-out', loan: null };
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = new Date(startDate);
+    if (endDate) match.createdAt.$lte = new Date(endDate);
+  }
+  if (classroom) match.classroom = new mongoose.Types.ObjectId(classroom);
+
+  const groups = await Transaction.aggregate([
+    { $match: match },
+    { $lookup: { from: 'inventories', localField: 'inventory', foreignField: '_id', as: 'item' } },
+    { $unwind: { path: '$item', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: { classroom: '$classroom', category: '$item.category' },
+        transactions: { $sum: 1 },
+        quantity: { $sum: { $abs: '$quantity' } },
+        value: { $sum: { $multiply: [{ $abs: '$quantity' }, '$cost'] } }
+      }
+    }
+  ]);
+
+  const [classrooms, categories] = await Promise.all([
+    Classroom.find({ _id: { $in: groups.map(group => group._id.classroom).filter(Boolean) } }).select('name kind'),
+    Category.find({ _id: { $in: groups.map(group => group._id.category).filter(Boolean) } }).select('name color')
+  ]);
+  const classroomById = new Map(classrooms.map(entry => [entry._id.toString(), entry]));
+  const categoryById = new Map(categories.map(entry => [entry._id.toString(), entry]));
+
+  const byClassroom = new Map();
+  groups.forEach(group => {
+    const key = group._id.classroom ? group._id.classroom.toString() : 'unassigned';
+    if (!byClassroom.has(key)) {
+      const entry = classroomById.get(key);
+      byClassroom.set(key, {
+        classroom: entry ? { _id: entry._id, name: entry.name, kind: entry.kind } : null,
+        name: entry ? entry.name : 'Unassigned',
+        transactions: 0,
+        quantity: 0,
+        value: 0,
+        categories: []
+      });
+    }
+
+    const row = byClassroom.get(key);
+    const category = group._id.category ? categoryById.get(group._id.category.toString()) : null;
+    row.transactions += group.transactions;
+    row.quantity += group.quantity;
+    row.value += group.value;
+    row.categories.push({
+      category: category ? { _id: category._id, name: category.name, color: category.color } : null,
+      name: category ? category.name : 'Uncategorized',
+      transactions: group.transactions,
+      quantity: group.quantity,
+      value: group.value
+    });
+  });
+
+  const rows = [...byClassroom.values()];
+  rows.forEach(row => row.categories.sort((a, b) => b.value - a.value));
+  return rows.sort((a, b) => b.value - a.value);
+};
+
+const consumptionPeriod = ({ startDate, endDate }) => {
+  if (!startDate && !endDate) return 'all time';
+  const format = date => new Date(date).toLocaleDateString();
+  if (!endDate) return `from ${format(startDate)}`;
+  if (!startDate) return `up to ${format(endDate)}`;
+  return `${format(startDate)} to ${format(endDate)}`;
+};
+
+const consumptionColumns = ['Classroom', 'Category', 'Transactions', 'Quantity', 'Value'];
+
+// One row per classroom and category, then the classroom's total
+const consumptionRows = classrooms => classrooms.flatMap(row => [
+  ...row.categories.map(category => [row.name, category.name, category.transactions, category.quantity, category.value]),
+  [`${row.name} total`, '', row.transactions, row.quantity, row.value],
+]);
+
+router.get('/consumption', auth, checkPermission('canViewReports'), async (req, res) => {
+  try {
+    const { startDate, endDate, classroom } = req.query;
+    if (classroom && !mongoose.isValidObjectId(classroom)) {
+      return res.status(400).json({ message: 'Invalid classroom ID' });
+    }
+
+    const classrooms = await getConsumption(req.user.school._id, { startDate, endDate, classroom });
+
+    res.json({
+      period: { startDate: startDate || null, endDate: endDate || null },
+      summary: {
+        classrooms: classrooms.filter(row => row.classroom).length,
+        transactions: classrooms.reduce((sum, row) => sum + row.transactions, 0),
+        totalQuantity: classrooms.reduce((sum, row) => sum + row.quantity, 0),
+        totalValue: classrooms.reduce((sum, row) => sum + row.value, 0),
+        unassignedValue: classrooms.filter(row => !row.classroom).reduce((sum, row) => sum + row.value, 0)
+      },
+      classrooms,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to generate consumption report', error: error.message });
+  }
+});
+
+/**
+ * Consumption by classroom report (Excel)
+ */
+router.get('/consumption/excel', auth, checkPermission('canViewReports'), async (req, res) => {
+  try {
+    const { startDate, endDate, classroom } = req.query;
+    if (classroom && !mongoose.isValidObjectId(classroom)) {
+      return res.status(400).json({ message: 'Invalid classroom ID' });
+    }
+
+    const classrooms = await getConsumption(req.user.school._id, { startDate, endDate, classroom });
+
+    const buffer = await buildWorkbook({
+      type: 'Consumption',
+      title: `Consumption by Classroom (${consumptionPeriod(req.query)})`,
+      columns: consumptionColumns,
+      rows: consumptionRows(classrooms),
+      numberFormats: { '3': '#,##0', '4': '#,##0', '5': '#,##0.00' },
+      createdAt: new Date(),
+    });
+
+    const dateStr = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="report-CONSUMPTION-${dateStr}.xlsx"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to export consumption report', error: error.message });
+  }
+});
+
+/**
+ * Consumption by classroom report (PDF)
+ */
+router.get('/consumption/pdf', auth, checkPermission('canViewReports'), async (req, res) => {
+  try {
+    const { startDate, endDate, classroom } = req.query;
+    if (classroom && !mongoose.isValidObjectId(classroom)) {
+      return res.status(400).json({ message: 'Invalid classroom ID' });
+    }
+
+    const classrooms = await getConsumption(req.user.school._id, { startDate, endDate, classroom });
+
+    const buffer = await buildPdfBuffer({
+      type: 'Consumption',
+      title: `Consumption by Classroom (${consumptionPeriod(req.query)})`,
+      columns: consumptionColumns,
+      rows: consumptionRows(classrooms),
+      footerSchool: req.user.school?.name,
+      createdAt: new Date(),
+    });
+
+    const dateStr = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="report-CONSUMPTION-${dateStr}.pdf"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to export consumption report PDF', error: error.message });
+  }
+});
+
 /**
  * Category performance report (JSON)
  */
@@ -571,12 +1091,18 @@ router.get('/categories', auth, checkPermission('canViewReports'), async (req, r
       {
         $group: {
           _id: '$category',
-          itemCount: { $sum: 1 },
-          totalQuantity: { $sum: '$quantity' },
-          totalValue: { $sum: { $multiply: ['$quantity', '$cost'] } },
+          // Variants roll up into their parent: count and judge top-level
+          // items, but take quantity and value from the stock-holding items
+          itemCount: { $sum: { $cond: [{ $gt: ['$parent', null] }, 0, 1] } },
+          totalQuantity: { $sum: { $cond: ['$hasVariants', 0, '$quantity'] } },
+          totalValue: { $sum: { $cond: ['$hasVariants', 0, { $multiply: ['$quantity', '$cost'] }] } },
           lowStockItems: {
             $sum: {
-              $cond: [{ $lte: ['$quantity', '$minThreshold'] }, 1, 0]
+              $cond: [
+                { $and: [{ $lte: ['$quantity', '$minThreshold'] }, { $not: [{ $gt: ['$parent', null] }] }] },
+                1,
+                0
+              ]
             }
           }
         }
@@ -625,12 +1151,18 @@ router.get('/categories/excel', auth, checkPermission('canViewReports'), async (
       {
         $group: {
           _id: '$category',
-          itemCount: { $sum: 1 },
-          totalQuantity: { $sum: '$quantity' },
-          totalValue: { $sum: { $multiply: ['$quantity', '$cost'] } },
+          // Variants roll up into their parent: count and judge top-level
+          // items, but take quantity and value from the stock-holding items
+          itemCount: { $sum: { $cond: [{ $gt: ['$parent', null] }, 0, 1] } },
+          totalQuantity: { $sum: { $cond: ['$hasVariants', 0, '$quantity'] } },
+          totalValue: { $sum: { $cond: ['$hasVariants', 0, { $multiply: ['$quantity', '$cost'] }] } },
           lowStockItems: {
             $sum: {
-              $cond: [{ $lte: ['$quantity', '$minThreshold'] }, 1, 0]
+              $cond: [
+                { $and: [{ $lte: ['$quantity', '$minThreshold'] }, { $not: [{ $gt: ['$parent', null] }] }] },
+                1,
+                0
+              ]
             }
           }
         }
@@ -698,12 +1230,18 @@ router.get('/categories/pdf', auth, checkPermission('canViewReports'), async (re
       {
         $group: {
           _id: '$category',
-          itemCount: { $sum: 1 },
-          totalQuantity: { $sum: '$quantity' },
-          totalValue: { $sum: { $multiply: ['$quantity', '$cost'] } },
+          // Variants roll up into their parent: count and judge top-level
+          // items, but take quantity and value from the stock-holding items
+          itemCount: { $sum: { $cond: [{ $gt: ['$parent', null] }, 0, 1] } },
+          totalQuantity: { $sum: { $cond: ['$hasVariants', 0, '$quantity'] } },
+          totalValue: { $sum: { $cond: ['$hasVariants', 0, { $multiply: ['$quantity', '$cost'] }] } },
           lowStockItems: {
             $sum: {
-              $cond: [{ $lte: ['$quantity', '$minThreshold'] }, 1, 0]
+              $cond: [
+                { $and: [{ $lte: ['$quantity', '$minThreshold'] }, { $not: [{ $gt: ['$parent', null] }] }] },
+                1,
+                0
+              ]
             }
           }
         }
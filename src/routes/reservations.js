@@ -0,0 +1,302 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const Inventory = require('../models/Inventory');
+const Transaction = require('../models/Transaction');
+const { auth, checkPermission } = require('../middleware/auth');
+const { validateReservation } = require('../middleware/validation');
+const { parseLimit } = require('../utils/pagination');
+const { commitStockMovements, StockMovementError } = require('../utils/stockMovements');
+
+const router = express.Router();
+
+// Stock of the item not held by other reservations
+const unreservedQuantity = async (inventory, exclude = null) => {
+  const reserved = await Reservation.reservedQuantities([inventory._id], exclude);
+  return Math.max(0, inventory.quantity - (reserved.get(inventory._id.toString()) || 0));
+};
+
+// Reservations are saved through commitStockMovements together with their
+// item, whose version is bumped by the save. A check-out or another
+// reservation that read the same stock then retries instead of taking stock
+// this reservation now holds.
+const saveReservation = (prepare) => commitStockMovements(async () => {
+  const prepared = await prepare();
+  if (prepared.notFound) return prepared;
+  return {
+    inventories: [prepared.inventory],
+    transactions: [],
+    documents: [prepared.reservation],
+    reservation: prepared.reservation
+  };
+});
+
+const checkUnreserved = async (inventory, requested, exclude = null) => {
+  const available = await unreservedQuantity(inventory, exclude);
+  if (available < requested) {
+    throw new StockMovementError('Insufficient unreserved stock', { available, requested });
+  }
+};
+
+const populateReservation = [
+  { path: 'inventory', select: 'name unit quantity' },
+  { path: 'createdBy', select: 'name email' },
+  { path: 'cancelledBy', select: 'name email' }
+];
+
+// Get reservations, newest first. Filters: status, inventory, and from/to for
+// reservations whose date range overlaps that period.
+router.get('/', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = '', inventory = '', from = '', to = '' } = req.query;
+    
+    await Reservation.expireEnded({ school: req.user.school._id });
+    
+    const query = { school: req.user.school._id };
+    
+    if (status) {
+      if (!['active', 'fulfilled', 'cancelled', 'expired'].includes(status)) {
+        return res.status(400).json({ message: 'Invalid reservation status' });
+      }
+      query.status = status;
+    }
+    
+    if (inventory) {
+      if (!mongoose.isValidObjectId(inventory)) {
+        return res.status(400).json({ message: 'Invalid inventory ID' });
+      }
+      query.inventory = inventory;
+    }
+    
+    if (from) query.endDate = { $gte: new Date(from) };
+    if (to) query.startDate = { $lte: new Date(to) };
+    
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseLimit(limit, 20);
+    
+    const [reservations, total] = await Promise.all([
+      Reservation.find(query)
+        .populate(populateReservation)
+        .sort({ startDate: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Reservation.countDocuments(query)
+    ]);
+    
+    res.json({
+      reservations,
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total,
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    console.error('Get reservations error:', error);
+    res.status(500).json({ message: 'Failed to fetch reservations', error: error.message });
+  }
+});
+
+// Get single reservation with the check-outs made against it
+router.get('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    await Reservation.expireEnded({ _id: req.params.id, school: req.user.school._id });
+    
+    const reservation = await Reservation.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    }).populate(populateReservation);
+    
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+    
+    const transactions = await Transaction.find({ reservation: reservation._id })
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 });
+    
+    res.json({ ...reservation.toJSON(), transactions });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch reservation', error: error.message });
+  }
+});
+
+// Reserve stock of an item. Stock already held by other active reservations
+// cannot be reserved again.
+router.post('/', auth, checkPermission('canManageInventory'), validateReservation, async (req, res) => {
+  try {
+    const { inventory: inventoryId, quantity, purpose, startDate, endDate, notes } = req.body;
+    
+    if (mongoose.isValidObjectId(inventoryId)) {
+      await Reservation.expireEnded({ school: req.user.school._id, inventory: inventoryId });
+    }
+    
+    const result = await saveReservation(async () => {
+      const inventory = await Inventory.findOne({
+        _id: inventoryId,
+        school: req.user.school._id,
+        isActive: true
+      });
+      
+      if (!inventory) {
+        return { notFound: 'Inventory item not found' };
+      }
+      
+      if (inventory.hasVariants) {
+        throw new StockMovementError('Stock is held on the variants of this item; choose a variant');
+      }
+      
+      await checkUnreserved(inventory, quantity);
+      
+      const reservation = new Reservation({
+        inventory: inventory._id,
+        school: req.user.school._id,
+        quantity,
+        purpose,
+        startDate,
+        endDate,
+        notes,
+        createdBy: req.user._id
+      });
+      return { inventory, reservation };
+    });
+    
+    if (result.notFound) {
+      return res.status(404).json({ message: result.notFound });
+    }
+    
+    const { reservation } = result;
+    await reservation.populate(populateReservation);
+    
+    res.status(201).json({
+      message: 'Reservation created successfully',
+      reservation
+    });
+  } catch (error) {
+    if (error instanceof StockMovementError) {
+      return res.status(400).json({ message: error.message, ...error.details });
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    // Stock kept changing under us on every attempt
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Item stock is changing rapidly; please try again' });
+    }
+    console.error('Create reservation error:', error);
+    res.status(500).json({ message: 'Failed to create reservation', error: error.message });
+  }
+});
+
+// Update an active reservation's quantity, dates, purpose or notes
+router.put('/:id', auth, checkPermission('canManageInventory'), validateReservation, async (req, res) => {
+  try {
+    await Reservation.expireEnded({ _id: req.params.id, school: req.user.school._id });
+    
+    const { inventory: inventoryId, quantity, purpose, startDate, endDate, notes } = req.body;
+    
+    const result = await saveReservation(async () => {
+      const reservation = await Reservation.findOne({
+        _id: req.params.id,
+        school: req.user.school._id
+      });
+      
+      if (!reservation) {
+        return { notFound: 'Reservation not found' };
+      }
+      
+      if (reservation.status !== 'active') {
+        throw new StockMovementError(`Reservation is ${reservation.status} and can no longer be changed`);
+      }
+      
+      if (!reservation.inventory.equals(inventoryId)) {
+        throw new StockMovementError('The item of a reservation cannot be changed; cancel it and reserve the other item');
+      }
+      
+      if (quantity < reservation.fulfilled) {
+        throw new StockMovementError('Quantity cannot be less than what has already been checked out', {
+          fulfilled: reservation.fulfilled
+        });
+      }
+      
+      // The item may have been deleted or purged since it was reserved
+      const inventory = await Inventory.findOne({
+        _id: reservation.inventory,
+        school: req.user.school._id,
+        isActive: true
+      });
+      
+      if (!inventory) {
+        return { notFound: 'Inventory item not found' };
+      }
+      
+      await checkUnreserved(inventory, quantity - reservation.fulfilled, reservation._id);
+      
+      Object.assign(reservation, { quantity, purpose, startDate, endDate, notes });
+      if (reservation.fulfilled >= reservation.quantity) {
+        reservation.status = 'fulfilled';
+      }
+      return { inventory, reservation };
+    });
+    
+    if (result.notFound) {
+      return res.status(404).json({ message: result.notFound });
+    }
+    
+    const { reservation } = result;
+    await reservation.populate(populateReservation);
+    
+    res.json({
+      message: 'Reservation updated successfully',
+      reservation
+    });
+  } catch (error) {
+    if (error instanceof StockMovementError) {
+      return res.status(400).json({ message: error.message, ...error.details });
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    // Stock kept changing under us on every attempt
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Item stock is changing rapidly; please try again' });
+    }
+    console.error('Update reservation error:', error);
+    res.status(500).json({ message: 'Failed to update reservation', error: error.message });
+  }
+});
+
+// Cancel an active reservation, releasing what it still holds
+router.post('/:id/cancel', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    await Reservation.expireEnded({ _id: req.params.id, school: req.user.school._id });
+    
+    const reservation = await Reservation.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    });
+    
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+    
+    if (reservation.status !== 'active') {
+      return res.status(400).json({ message: `Reservation is already ${reservation.status}` });
+    }
+    
+    reservation.status = 'cancelled';
+    reservation.cancelledBy = req.user._id;
+    reservation.cancelledAt = new Date();
+    await reservation.save();
+    
+    res.json({
+      message: 'Reservation cancelled successfully',
+      reservation
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to cancel reservation', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,444 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Stocktake = require('../models/Stocktake');
+const Inventory = require('../models/Inventory');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const { auth, checkPermission } = require('../middleware/auth');
+const { validateStocktake, validateStocktakeCounts } = require('../middleware/validation');
+const {
+  applyStockMovement,
+  commitStockMovements,
+  StockMovementError
+} = require('../utils/stockMovements');
+const { parseLimit } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Session details without the lines, for listings
+const describeStocktake = (stocktake) => {
+  const { lines, ...rest } = stocktake.toJSON();
+  return { ...rest, summary: stocktake.getVariance().summary };
+};
+
+// Find the line a count is for: by line ID, or by item (and location when the
+// item is counted in more than one place)
+const findLine = (stocktake, count) => {
+  if (count.line) {
+    return stocktake.lines.id(count.line);
+  }
+  const candidates = stocktake.lines.filter(line =>
+    line.inventory.equals(count.inventory) && (!count.location || line.location === count.location));
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+// Get stocktake sessions, newest first
+router.get('/', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = '' } = req.query;
+    
+    const query = { school: req.user.school._id };
+    if (status) {
+      query.status = status;
+    }
+    
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseLimit(limit);
+    
+    const [stocktakes, total] = await Promise.all([
+      Stocktake.find(query)
+        .populate('scope.category', 'name color')
+        .populate('createdBy', 'name email')
+        .populate('approvedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Stocktake.countDocuments(query)
+    ]);
+    
+    res.json({
+      stocktakes: stocktakes.map(describeStocktake),
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total,
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    console.error('Get stocktakes error:', error);
+    res.status(500).json({ message: 'Failed to fetch stocktakes', error: error.message });
+  }
+});
+
+// Get single stocktake with its lines and, once approved, the posted adjustments
+router.get('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    })
+    .populate('scope.category', 'name color')
+    .populate('createdBy', 'name email')
+    .populate('approvedBy', 'name email')
+    .populate('lines.countedBy', 'name email');
+    
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    
+    const transactions = stocktake.status === 'approved'
+      ? await Transaction.find({ stocktake: stocktake._id }).populate('inventory', 'name unit')
+      : [];
+    
+    res.json({
+      ...stocktake.toJSON(),
+      summary: stocktake.getVariance().summary,
+      transactions
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch stocktake', error: error.message });
+  }
+});
+
+// Start a count of a category, a location, or both. Every matching item at
+// every location in scope gets a line with its system quantity frozen now.
+router.post('/', auth, checkPermission('canManageInventory'), validateStocktake, async (req, res) => {
+  try {
+    const { name, category, location, notes } = req.body;
+    
+    if (category) {
+      const exists = await Category.exists({ _id: category, school: req.user.school._id, isActive: true });
+      if (!exists) {
+        return res.status(404).json({ message: 'Category not found' });
+      }
+    }
+    
+    // Stock is held on variants, not on the items that group them, and
+    // asset-tracked items are counted from their assets
+    const query = {
+      school: req.user.school._id,
+      isActive: true,
+      hasVariants: { $ne: true },
+      trackAssets: { $ne: true }
+    };
+    if (category) query.category = category;
+    if (location) query['locations.name'] = location;
+    
+    const items = await Inventory.find(query).sort({ name: 1 });
+    
+    const lines = items.flatMap(item => {
+      item.migrateLegacyStock();
+      let locations = item.locations.map(loc => loc.name);
+      if (location) locations = [location];
+      if (locations.length === 0) locations = [Inventory.DEFAULT_LOCATION];
+      
+      return locations.map(name => ({
+        inventory: item._id,
+        name: item.name,
+        unit: item.unit,
+        location: name,
+        systemQuantity: item.getLocationQuantity(name),
+        cost: item.cost || 0
+      }));
+    });
+    
+    if (lines.length === 0) {
+      return res.status(400).json({ message: 'No items to count in this scope' });
+    }
+    
+    const stocktake = new Stocktake({
+      name,
+      school: req.user.school._id,
+      reference: `STOCKTAKE-${Date.now()}`,
+      scope: { category, location },
+      notes,
+      lines,
+      createdBy: req.user._id
+    });
+    await stocktake.save();
+    
+    res.status(201).json({
+      message: 'Stocktake started successfully',
+      stocktake
+    });
+  } catch (error) {
+    console.error('Create stocktake error:', error);
+    res.status(500).json({ message: 'Failed to start stocktake', error: error.message });
+  }
+});
+
+// Enter counted quantities. Each count names a line, or an item (and location);
+// counters can work at the same time as every line is updated on its own.
+// Counting a line again replaces the earlier count.
+router.put('/:id/counts', auth, checkPermission('canManageInventory'), validateStocktakeCounts, async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    });
+    
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    
+    if (stocktake.status !== 'counting') {
+      return res.status(400).json({ message: `Stocktake is ${stocktake.status} and can no longer be counted` });
+    }
+    
+    const errors = [];
+    const updates = [];
+    req.body.counts.forEach((count, index) => {
+      const line = findLine(stocktake, count);
+      if (!line) {
+        errors.push({
+          count: index,
+          line: count.line,
+          inventory: count.inventory,
+          location: count.location,
+          message: count.line ? 'Line not found' : 'No single line for this item; give the location or line'
+        });
+        return;
+      }
+      updates.push({ line, count });
+    });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Counts could not be recorded; no changes were made', errors });
+    }
+    
+    const countedAt = new Date();
+    const result = await Stocktake.bulkWrite(updates.map(({ line, count }) => ({
+      updateOne: {
+        filter: { _id: stocktake._id, status: 'counting', 'lines._id': line._id },
+        update: {
+          $set: {
+            'lines.$.countedQuantity': count.countedQuantity,
+            'lines.$.countedBy': req.user._id,
+            'lines.$.countedAt': countedAt,
+            ...(count.lotNumber !== undefined ? { 'lines.$.lotNumber': count.lotNumber } : {}),
+            ...(count.notes !== undefined ? { 'lines.$.notes': count.notes } : {})
+          },
+          // Makes an approval that read the session before this count retry
+          $inc: { __v: 1 }
+        }
+      }
+    })));
+    
+    // Approved or cancelled while these counts were being entered
+    if (result.matchedCount < updates.length) {
+      return res.status(409).json({ message: 'Stocktake was closed while counting; some counts were not recorded' });
+    }
+    
+    const updated = await Stocktake.findById(stocktake._id);
+    const variance = updated.getVariance();
+    const countedIds = new Set(updates.map(({ line }) => line._id.toString()));
+    
+    res.json({
+      message: 'Counts recorded successfully',
+      lines: variance.lines.filter(line => countedIds.has(line._id.toString())),
+      summary: variance.summary
+    });
+  } catch (error) {
+    console.error('Record stocktake counts error:', error);
+    res.status(500).json({ message: 'Failed to record counts', error: error.message });
+  }
+});
+
+// Variance report: counted against frozen system quantities, with the value
+// impact at frozen cost. ?onlyDifferences=true leaves out lines that match.
+router.get('/:id/variance', auth, checkPermission('canViewReports'), async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOne({
+      _id: req.params.id,
+      school: req.user.school._id
+    }).populate('lines.countedBy', 'name email');
+    
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    
+    const { lines, summary } = stocktake.getVariance();
+    
+    res.json({
+      stocktake: {
+        _id: stocktake._id,
+        name: stocktake.name,
+        reference: stocktake.reference,
+        status: stocktake.status,
+        scope: stocktake.scope,
+        createdAt: stocktake.createdAt,
+        approvedAt: stocktake.approvedAt
+      },
+      summary,
+      lines: req.query.onlyDifferences === 'true'
+        ? lines.filter(line => line.variance !== null && line.variance !== 0)
+        : lines
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch variance report', error: error.message });
+  }
+});
+
+// Approve the count: every counted difference is posted as an adjustment
+// transaction tied to the session, all-or-nothing. The variance is applied to
+// the item's current stock, so movements made while counting are kept.
+// Uncounted lines are left as they are.
+router.post('/:id/approve', auth, checkPermission('canManageTransactions'), async (req, res) => {
+  try {
+    const result = await commitStockMovements(async () => {
+      const stocktake = await Stocktake.findOne({
+        _id: req.params.id,
+        school: req.user.school._id
+      });
+      
+      if (!stocktake) {
+        return { notFound: true };
+      }
+      if (stocktake.status !== 'counting') {
+        return { closed: stocktake.status };
+      }
+      
+      const { lines, summary } = stocktake.getVariance();
+      const changes = lines.filter(line => line.variance);
+      
+      const inventories = await Inventory.find({
+        _id: { $in: changes.map(line => line.inventory) },
+        school: req.user.school._id,
+        isActive: true
+      });
+      const byId = new Map(inventories.map(item => [item._id.toString(), item]));
+      
+      const errors = [];
+      const skipped = [];
+      const movements = [];
+      changes.forEach(line => {
+        const inventory = byId.get(line.inventory.toString());
+        if (!inventory) {
+          skipped.push({ line: line._id, inventory: line.inventory, name: line.name, message: 'Item has been deleted' });
+          return;
+        }
+        
+        const counted = stocktake.lines.id(line._id);
+        const target = Math.max(0, inventory.getLocationQuantity(line.location) + line.variance);
+        try {
+          const movement = applyStockMovement(inventory, {
+            type: 'adjustment',
+            quantity: target,
+            location: line.location,
+            // A surplus is received into the counted lot; a shortfall comes out
+            // first-expiry-first-out
+            lotNumber: line.variance > 0 ? counted.lotNumber || stocktake.reference : undefined
+          });
+          if (movement.quantity !== 0) {
+            movements.push({ line, inventory, movement });
+          }
+        } catch (error) {
+          if (!(error instanceof StockMovementError)) throw error;
+          errors.push({ line: line._id, inventory: line.inventory, name: line.name, message: error.message, ...error.details });
+        }
+      });
+      
+      if (errors.length > 0) {
+        return { errors };
+      }
+      
+      // Version-checked, so counts entered meanwhile are not left out
+      stocktake.increment();
+      stocktake.status = 'approved';
+      stocktake.approvedBy = req.user._id;
+      stocktake.approvedAt = new Date();
+      
+      return {
+        summary,
+        skipped,
+        movements,
+        inventories,
+        documents: [stocktake],
+        transactions: movements.map(({ line, inventory, movement }) => new Transaction({
+          type: 'adjustment',
+          inventory: inventory._id,
+          school: req.user.school._id,
+          user: req.user._id,
+          quantity: movement.quantity,
+          previousQuantity: movement.previousQuantity,
+          newQuantity: movement.newQuantity,
+          reason: `Stocktake: ${stocktake.name}`,
+          notes: line.notes,
+          reference: stocktake.reference,
+          stocktake: stocktake._id,
+          cost: inventory.cost || 0,
+          location: movement.location,
+          lots: movement.lots
+        }))
+      };
+    });
+    
+    if (result.notFound) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    if (result.closed) {
+      return res.status(400).json({ message: `Stocktake is already ${result.closed}` });
+    }
+    if (result.errors) {
+      return res.status(400).json({
+        message: 'Stocktake could not be approved; no changes were made',
+        errors: result.errors
+      });
+    }
+    
+    const { summary, skipped, movements, transactions } = result;
+    
+    res.json({
+      message: 'Stocktake approved and adjustments posted',
+      summary,
+      skipped,
+      adjustments: movements.map(({ line, inventory, movement }, i) => ({
+        transaction: transactions[i]._id,
+        inventory: inventory._id,
+        name: inventory.name,
+        location: line.location,
+        variance: line.variance,
+        quantity: movement.quantity,
+        newQuantity: movement.newQuantity
+      }))
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Item stock is changing rapidly; please try again' });
+    }
+    console.error('Approve stocktake error:', error);
+    res.status(500).json({ message: 'Failed to approve stocktake', error: error.message });
+  }
+});
+
+// Cancel a stocktake that is still being counted; nothing is posted
+router.post('/:id/cancel', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOneAndUpdate(
+      { _id: req.params.id, school: req.user.school._id, status: 'counting' },
+      // Makes an approval that read the session before this cancel retry
+      {
+        $set: { status: 'cancelled', cancelledBy: req.user._id, cancelledAt: new Date() },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+    
+    if (!stocktake) {
+      const exists = await Stocktake.exists({ _id: req.params.id, school: req.user.school._id });
+      return exists
+        ? res.status(400).json({ message: 'Only a stocktake that is being counted can be cancelled' })
+        : res.status(404).json({ message: 'Stocktake not found' });
+    }
+    
+    res.json({
+      message: 'Stocktake cancelled successfully',
+      stocktake: describeStocktake(stocktake)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to cancel stocktake', error: error.message });
+  }
+});
+
+module.exports = router;
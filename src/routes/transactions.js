@@ -1,12 +1,62 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
 const Inventory = require('../models/Inventory');
+const Reservation = require('../models/Reservation');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const Classroom = require('../models/Classroom');
 const { auth, checkPermission } = require('../middleware/auth');
-const { validateTransaction } = require('../middleware/validation');
+const {
+  validateTransaction,
+  validateScan,
+  validateBatchTransaction,
+  validateWriteOff
+} = require('../middleware/validation');
+const {
+  applyStockMovement,
+  checkReservedStock,
+  commitStockMovements,
+  StockMovementError
+} = require('../utils/stockMovements');
+const {
+  PaginationError,
+  parseLimit,
+  parseSort,
+  parseFields,
+  paginateWithCursor
+} = require('../utils/pagination');
 
 const router = express.Router();
 
-// Get all transactions with pagination and filters
+// A check-out can fulfil an active reservation of the same item
+const checkReservationUsable = (reservation, inventory, type) => {
+  if (type !== 'check-out') {
+    throw new StockMovementError('Only check-outs can fulfil a reservation');
+  }
+  if (!reservation.inventory.equals(inventory._id)) {
+    throw new StockMovementError('Reservation is for a different item', { reservation: reservation._id });
+  }
+  if (reservation.status !== 'active' || reservation.endDate < new Date()) {
+    throw new StockMovementError('Reservation is no longer active', {
+      reservation: reservation._id,
+      status: reservation.status === 'active' ? 'expired' : reservation.status
+    });
+  }
+};
+
+// Indexed fields the transaction list can be sorted by
+const TRANSACTION_SORT_FIELDS = ['createdAt', 'type', 'quantity'];
+
+// Fields the transaction list can be trimmed to with ?fields=
+const TRANSACTION_LIST_FIELDS = [
+  'type', 'inventory', 'user', 'quantity', 'entered', 'previousQuantity', 'newQuantity',
+  'reason', 'notes', 'reference', 'cost', 'supplier', 'location', 'lots',
+  'reservation', 'loan', 'classroom', 'stocktake', 'createdAt', 'updatedAt'
+];
+
+// Get all transactions with pagination and filters. Pass ?cursor= (empty for
+// the first page) for cursor pagination and ?fields= to trim the rows.
 router.get('/', auth, checkPermission('canViewReports'), async (req, res) => {
   try {
     const {
@@ -15,10 +65,13 @@ router.get('/', auth, checkPermission('canViewReports'), async (req, res) => {
       type = '',
       inventory = '',
       user = '',
+      location = '',
       startDate = '',
       endDate = '',
       sortBy = 'createdAt',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      cursor,
+      fields
     } = req.query;
 
     const query = { school: req.user.school._id };
@@ -38,6 +91,11 @@ router.get('/', auth, checkPermission('canViewReports'), async (req, res) => {
       query.user = user;
     }
     
+    // Location filter (either side of the movement)
+    if (location) {
+      query.$or = [{ 'location.from': location }, { 'location.to': location }];
+    }
+    
     // Date range filter
     if (startDate || endDate) {
       query.createdAt = {};
@@ -49,31 +107,49 @@ router.get('/', auth, checkPermission('canViewReports'), async (req, res) => {
       }
     }
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const pageSize = parseLimit(limit);
+    const sort = parseSort(sortBy, sortOrder, TRANSACTION_SORT_FIELDS, 'createdAt');
+    const projection = parseFields(fields, TRANSACTION_LIST_FIELDS, [sort.field]);
+    const findTransactions = (filter, sortOptions) => Transaction.find(filter)
+      .select(projection)
+      .populate('inventory', 'name unit')
+      .populate('user', 'name email')
+      .sort(sortOptions);
+    
+    if (cursor !== undefined) {
+      const { docs, pagination } = await paginateWithCursor({
+        query,
+        sort,
+        limit: pageSize,
+        cursor,
+        find: findTransactions
+      });
+      return res.json({ transactions: docs, pagination });
+    }
+    
+    const pageNumber = parseInt(page) || 1;
+    const skip = (pageNumber - 1) * pageSize;
     
     const [transactions, total] = await Promise.all([
-      Transaction.find(query)
-        .populate('inventory', 'name unit')
-        .populate('user', 'name email')
-        .sort(sortOptions)
+      findTransactions(query, sort.sort)
         .skip(skip)
-        .limit(parseInt(limit)),
+        .limit(pageSize),
       Transaction.countDocuments(query)
     ]);
 
     res.json({
       transactions,
       pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
         total,
-        limit: parseInt(limit)
+        limit: pageSize
       }
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ message: error.message, ...error.details });
+    }
     console.error('Get transactions error:', error);
     res.status(500).json({ message: 'Failed to fetch transactions', error: error.message });
   }
@@ -106,75 +182,192 @@ router.get('/:id', auth, checkPermission('canViewReports'), async (req, res) =>
   }
 });
 
-// Create transaction (check-in/check-out/adjustment)
+// A check-in can return an open loan of the same item, up to what is still out
+const checkLoanReturnable = (loan, inventory) => {
+  if (!loan.inventory.equals(inventory._id)) {
+    throw new StockMovementError('Loan is for a different item', { loan: loan._id });
+  }
+  if (loan.status !== 'open') {
+    throw new StockMovementError('Loan has already been returned', { loan: loan._id });
+  }
+};
+
+// Receiving classroom of a check-out: an active classroom of the school
+const classroomExists = (schoolId, classroomId) =>
+  Classroom.exists({ _id: classroomId, school: schoolId, isActive: true });
+
+// Create transaction (check-in/check-out/adjustment/transfer/disposal).
+// Check-outs and disposals cannot use reserved stock unless the check-out
+// names the `reservation` it fulfils. A check-out with a `borrower` and
+// `dueDate` is a loan; a check-in naming the `loan` returns it (by default to
+// the location and lot it came from). A check-out can name the `classroom`
+// it is for.
 router.post('/', auth, checkPermission('canManageTransactions'), validateTransaction, async (req, res) => {
   try {
-    const { type, inventory: inventoryId, quantity, reason, notes, cost = 0, supplier } = req.body;
-    
-    // Get inventory item
-    const inventory = await Inventory.findOne({
-      _id: inventoryId,
-      school: req.user.school._id,
-      isActive: true
-    });
-    
-    if (!inventory) {
-      return res.status(404).json({ message: 'Inventory item not found' });
-    }
-    
-    const previousQuantity = inventory.quantity;
-    let newQuantity;
-    let transactionQuantity;
-    
-    // Calculate new quantity based on transaction type
-    switch (type) {
-      case 'check-in':
-        newQuantity = previousQuantity + quantity;
-        transactionQuantity = quantity;
-        break;
-      case 'check-out':
-        if (previousQuantity < quantity) {
-          return res.status(400).json({ 
-            message: 'Insufficient stock',
-            available: previousQuantity,
-            requested: quantity
-          });
-        }
-        newQuantity = previousQuantity - quantity;
-        transactionQuantity = -quantity;
-        break;
-      case 'adjustment':
-        newQuantity = quantity;
-        transactionQuantity = quantity - previousQuantity;
-        break;
-      default:
-        return res.status(400).json({ message: 'Invalid transaction type' });
-    }
-    
-    // Create transaction
-    const transaction = new Transaction({
+    const {
       type,
       inventory: inventoryId,
-      school: req.user.school._id,
-      user: req.user._id,
-      quantity: transactionQuantity,
-      previousQuantity,
-      newQuantity,
+      quantity,
+      unit,
+      location,
+      fromLocation,
+      toLocation,
+      lotNumber,
+      expiryDate,
       reason,
       notes,
-      cost,
-      supplier
-    });
+      cost = 0,
+      supplier,
+      reservation: reservationId,
+      borrower,
+      dueDate,
+      loan: loanId,
+      classroom
+    } = req.body;
     
-    // Update inventory quantity
-    inventory.quantity = newQuantity;
+    if (classroom && !(await classroomExists(req.user.school._id, classroom))) {
+      return res.status(404).json({ message: 'Classroom not found' });
+    }
     
-    // Save both transaction and inventory
-    await Promise.all([
-      transaction.save(),
-      inventory.save()
-    ]);
+    let borrowerDetails = null;
+    if (borrower) {
+      borrowerDetails = { type: borrower.type, name: borrower.name, contact: borrower.contact };
+      if (borrower.type === 'user') {
+        const user = await User.findOne({ _id: borrower.user, school: req.user.school._id, isActive: true })
+          .select('name');
+        if (!user) {
+          return res.status(404).json({ message: 'Borrower not found' });
+        }
+        Object.assign(borrowerDetails, { user: user._id, name: user.name });
+      } else if (borrower.type === 'classroom') {
+        const borrowingClassroom = await Classroom.findOne({
+          _id: borrower.classroom,
+          school: req.user.school._id,
+          isActive: true
+        }).select('name');
+        if (!borrowingClassroom) {
+          return res.status(404).json({ message: 'Classroom not found' });
+        }
+        Object.assign(borrowerDetails, { classroom: borrowingClassroom._id, name: borrowingClassroom.name });
+      }
+    }
+    
+    // Read, apply and save as one unit; re-run if the item changed meanwhile
+    const result = await commitStockMovements(async () => {
+      const inventory = await Inventory.findOne({
+        _id: inventoryId,
+        school: req.user.school._id,
+        isActive: true
+      });
+      
+      if (!inventory) {
+        return { notFound: 'Inventory item not found' };
+      }
+      
+      let reservation = null;
+      if (reservationId) {
+        reservation = await Reservation.findOne({ _id: reservationId, school: req.user.school._id });
+        if (!reservation) {
+          return { notFound: 'Reservation not found' };
+        }
+        checkReservationUsable(reservation, inventory, type);
+      }
+      
+      let loan = null;
+      let returnLot = {};
+      if (loanId) {
+        loan = await Loan.findOne({ _id: loanId, school: req.user.school._id });
+        if (!loan) {
+          return { notFound: 'Loan not found' };
+        }
+        checkLoanReturnable(loan, inventory);
+        if (!lotNumber && loan.lots.length === 1) {
+          returnLot = { lotNumber: loan.lots[0].lotNumber, expiryDate: expiryDate || loan.lots[0].expiryDate };
+        }
+      }
+      
+      const movement = applyStockMovement(inventory, {
+        type,
+        quantity,
+        unit,
+        location: location || (loan ? loan.location : undefined),
+        fromLocation,
+        toLocation,
+        lotNumber,
+        expiryDate,
+        ...returnLot
+      });
+      
+      if (loan && movement.quantity > loan.outstanding) {
+        throw new StockMovementError('Return is more than is still on loan', {
+          outstanding: loan.outstanding,
+          requested: movement.quantity
+        });
+      }
+      
+      // What the fulfilled reservation still holds after this check-out
+      // stays reserved along with every other reservation of the item
+      const reservedByOthers = (await Reservation.reservedQuantities(
+        [inventory._id],
+        reservation && reservation._id
+      )).get(inventory._id.toString()) || 0;
+      const stillHeld = reservation ? Math.max(0, reservation.remaining + movement.quantity) : 0;
+      checkReservedStock(inventory, type, movement, reservedByOthers + stillHeld);
+      if (reservation) {
+        reservation.fulfil(-movement.quantity);
+      }
+      
+      const transaction = new Transaction({
+        type,
+        inventory: inventoryId,
+        school: req.user.school._id,
+        user: req.user._id,
+        quantity: movement.quantity,
+        entered: movement.entered,
+        previousQuantity: movement.previousQuantity,
+        newQuantity: movement.newQuantity,
+        reason,
+        notes,
+        cost,
+        supplier,
+        location: movement.location,
+        lots: movement.lots,
+        reservation: reservation ? reservation._id : undefined,
+        // A loan to a classroom is a check-out for that classroom
+        classroom: classroom || (borrowerDetails ? borrowerDetails.classroom : undefined)
+      });
+      
+      if (loan) {
+        loan.recordReturn(movement.quantity, transaction._id);
+      } else if (borrowerDetails) {
+        loan = new Loan({
+          inventory: inventory._id,
+          school: req.user.school._id,
+          borrower: borrowerDetails,
+          quantity: -movement.quantity,
+          dueDate,
+          location: movement.location.from,
+          lots: movement.lots,
+          loanedBy: req.user._id,
+          checkoutTransaction: transaction._id,
+          notes
+        });
+      }
+      transaction.loan = loan ? loan._id : undefined;
+      
+      return {
+        inventories: [inventory],
+        transactions: [transaction],
+        documents: [reservation, loan].filter(Boolean),
+        loan
+      };
+    });
     
+    if (result.notFound) {
+      return res.status(404).json({ message: result.notFound });
+    }
+    
+    const [transaction] = result.transactions;
     await transaction.populate([
       { path: 'inventory', select: 'name unit' },
       { path: 'user', select: 'name email' }
@@ -182,14 +375,332 @@ router.post('/', auth, checkPermission('canManageTransactions'), validateTransac
     
     res.status(201).json({
       message: 'Transaction created successfully',
-      transaction
+      transaction,
+      ...(result.loan ? { loan: result.loan } : {})
     });
   } catch (error) {
+    if (error instanceof StockMovementError) {
+      return res.status(400).json({ message: error.message, ...error.details });
+    }
+    // Stock kept changing under us on every attempt
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Item stock is changing rapidly; please try again' });
+    }
     console.error('Create transaction error:', error);
     res.status(500).json({ message: 'Failed to create transaction', error: error.message });
   }
 });
 
+// Scan-driven check-in/check-out: one barcode, or a list of barcodes with counts
+router.post('/scan', auth, checkPermission('canManageTransactions'), validateScan, async (req, res) => {
+  try {
+    const { type, barcode, quantity = 1, items, location, lotNumber, expiryDate, reason, notes, reference, classroom } = req.body;
+    const scans = items || [{ barcode, count: quantity }];
+    
+    if (classroom && !(await classroomExists(req.user.school._id, classroom))) {
+      return res.status(404).json({ message: 'Classroom not found' });
+    }
+    
+    // Repeated scans of the same barcode add up
+    const counts = new Map();
+    scans.forEach(scan => {
+      const code = scan.barcode.trim();
+      counts.set(code, (counts.get(code) || 0) + (scan.count || 1));
+    });
+    
+    const result = await commitStockMovements(async () => {
+      const inventories = await Inventory.find({
+        school: req.user.school._id,
+        barcode: { $in: [...counts.keys()] },
+        isActive: true
+      });
+      const byBarcode = new Map(inventories.map(item => [item.barcode, item]));
+      const reserved = await Reservation.reservedQuantities(inventories.map(item => item._id));
+      
+      // Check every scan before recording any of them
+      const errors = [];
+      const movements = [];
+      for (const [code, count] of counts) {
+        const inventory = byBarcode.get(code);
+        if (!inventory) {
+          errors.push({ barcode: code, message: 'No item found for this barcode' });
+          continue;
+        }
+        
+        try {
+          const movement = applyStockMovement(inventory, { type, quantity: count, location, lotNumber, expiryDate });
+          checkReservedStock(inventory, type, movement, reserved.get(inventory._id.toString()));
+          movements.push({ inventory, movement });
+        } catch (error) {
+          if (!(error instanceof StockMovementError)) throw error;
+          errors.push({ barcode: code, item: inventory.name, message: error.message, ...error.details });
+        }
+      }
+      
+      if (errors.length > 0) {
+        return { errors };
+      }
+      
+      return {
+        inventories: movements.map(({ inventory }) => inventory),
+        transactions: movements.map(({ inventory, movement }) => new Transaction({
+          type,
+          inventory: inventory._id,
+          school: req.user.school._id,
+          user: req.user._id,
+          quantity: movement.quantity,
+          previousQuantity: movement.previousQuantity,
+          newQuantity: movement.newQuantity,
+          reason: reason || 'Barcode scan',
+          notes,
+          reference,
+          cost: inventory.cost || 0,
+          location: movement.location,
+          lots: movement.lots,
+          classroom
+        }))
+      };
+    });
+    
+    if (result.errors) {
+      return res.status(400).json({ message: 'Scan could not be applied', errors: result.errors });
+    }
+    
+    const { transactions } = result;
+    await Transaction.populate(transactions, [
+      { path: 'inventory', select: 'name unit barcode' },
+      { path: 'user', select: 'name email' }
+    ]);
+    
+    res.status(201).json({
+      message: 'Scan recorded successfully',
+      transactions
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Item stock is changing rapidly; please try again' });
+    }
+    console.error('Scan transaction error:', error);
+    res.status(500).json({ message: 'Failed to record scan', error: error.message });
+  }
+});
+
+// Apply many movements in one request: all lines are recorded or none are
+// (one MongoDB transaction, so a replica set is needed; see utils/database)
+router.post('/batch', auth, checkPermission('canManageTransactions'), validateBatchTransaction, async (req, res) => {
+  try {
+    const { lines, reason, notes, classroom } = req.body;
+    const reference = req.body.reference || `BATCH-${Date.now()}`;
+    
+    if (classroom && !(await classroomExists(req.user.school._id, classroom))) {
+      return res.status(404).json({ message: 'Classroom not found' });
+    }
+    
+    const result = await commitStockMovements(async () => {
+      const inventories = await Inventory.find({
+        _id: { $in: [...new Set(lines.map(line => line.inventory))] },
+        school: req.user.school._id,
+        isActive: true
+      });
+      const byId = new Map(inventories.map(item => [item._id.toString(), item]));
+      const reserved = await Reservation.reservedQuantities(inventories.map(item => item._id));
+      
+      // Lines are applied in order, so later lines see the effect of earlier ones
+      const errors = [];
+      const movements = [];
+      lines.forEach((line, index) => {
+        const inventory = byId.get(line.inventory);
+        if (!inventory) {
+          errors.push({ line: index, inventory: line.inventory, message: 'Inventory item not found' });
+          return;
+        }
+        
+        try {
+          const movement = applyStockMovement(inventory, line);
+          checkReservedStock(inventory, line.type, movement, reserved.get(inventory._id.toString()));
+          movements.push({ index, line, inventory, movement });
+        } catch (error) {
+          if (!(error instanceof StockMovementError)) throw error;
+          errors.push({
+            line: index,
+            inventory: line.inventory,
+            item: inventory.name,
+            message: error.message,
+            ...error.details
+          });
+        }
+      });
+      
+      if (errors.length > 0) {
+        return { errors };
+      }
+      
+      return {
+        inventories,
+        movements,
+        transactions: movements.map(({ line, inventory, movement }) => new Transaction({
+          type: line.type,
+          inventory: inventory._id,
+          school: req.user.school._id,
+          user: req.user._id,
+          quantity: movement.quantity,
+          entered: movement.entered,
+          previousQuantity: movement.previousQuantity,
+          newQuantity: movement.newQuantity,
+          reason: line.reason || reason,
+          notes: line.notes || notes,
+          reference,
+          cost: inventory.cost || 0,
+          location: movement.location,
+          lots: movement.lots,
+          // The receiving classroom only applies to the batch's check-outs
+          classroom: line.type === 'check-out' ? classroom : undefined
+        }))
+      };
+    });
+    
+    if (result.errors) {
+      return res.status(400).json({
+        message: 'Batch could not be applied; no changes were made',
+        errors: result.errors
+      });
+    }
+    
+    const { inventories, movements, transactions } = result;
+    
+    res.status(201).json({
+      message: 'Batch recorded successfully',
+      reference,
+      lines: movements.map(({ index, line, inventory, movement }, i) => ({
+        line: index,
+        transaction: transactions[i]._id,
+        inventory: inventory._id,
+        name: inventory.name,
+        type: line.type,
+        quantity: movement.quantity,
+        location: movement.location,
+        lots: movement.lots,
+        newQuantity: movement.newQuantity
+      })),
+      items: inventories.map(item => ({
+        _id: item._id,
+        name: item.name,
+        quantity: item.quantity,
+        locations: item.locations
+      }))
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Item stock is changing rapidly; please try again' });
+    }
+    console.error('Batch transaction error:', error);
+    res.status(500).json({ message: 'Failed to record batch', error: error.message });
+  }
+});
+
+// Write off expired lots as recorded disposals
+router.post('/write-off-expired', auth, checkPermission('canManageTransactions'), validateWriteOff, async (req, res) => {
+  try {
+    const { inventory: inventoryIds, location, reason = 'Expired stock write-off', notes } = req.body;
+    const now = new Date();
+    const reference = `WRITE-OFF-${Date.now()}`;
+    
+    const query = {
+      school: req.user.school._id,
+      isActive: true,
+      trackLots: true,
+      'lots.expiryDate': { $lt: now }
+    };
+    if (inventoryIds) {
+      query._id = { $in: inventoryIds };
+    }
+    
+    const result = await commitStockMovements(async () => {
+      const inventories = await Inventory.find(query);
+      
+      const movements = [];
+      for (const inventory of inventories) {
+        const expiredLots = inventory.lots
+          .filter(lot => lot.expiryDate && lot.expiryDate < now)
+          .map(lot => ({ lotNumber: lot.lotNumber, quantity: lot.quantity }));
+        
+        // Take each lot from the chosen location, or from wherever the item is stocked
+        const sources = inventory.locations
+          .map(loc => loc.name)
+          .filter(name => !location || name === location);
+        
+        for (const lot of expiredLots) {
+          let remaining = lot.quantity;
+          for (const name of sources) {
+            const take = Math.min(inventory.getLocationQuantity(name), remaining);
+            if (take <= 0) continue;
+            
+            const movement = applyStockMovement(inventory, {
+              type: 'disposal',
+              quantity: take,
+              location: name,
+              lotNumber: lot.lotNumber
+            });
+            movements.push({ inventory, movement });
+            remaining -= take;
+            if (remaining === 0) break;
+          }
+        }
+      }
+      
+      if (movements.length === 0) {
+        return { movements };
+      }
+      
+      return {
+        inventories: movements.map(({ inventory }) => inventory),
+        movements,
+        transactions: movements.map(({ inventory, movement }) => new Transaction({
+          type: 'disposal',
+          inventory: inventory._id,
+          school: req.user.school._id,
+          user: req.user._id,
+          quantity: movement.quantity,
+          previousQuantity: movement.previousQuantity,
+          newQuantity: movement.newQuantity,
+          reason,
+          notes,
+          reference,
+          cost: inventory.cost || 0,
+          location: movement.location,
+          lots: movement.lots
+        }))
+      };
+    });
+    
+    if (!result.transactions) {
+      return res.json({ message: 'No expired stock to write off', transactions: [] });
+    }
+    
+    const { movements, transactions } = result;
+    
+    res.status(201).json({
+      message: 'Expired stock written off successfully',
+      reference,
+      summary: {
+        items: new Set(movements.map(({ inventory }) => inventory._id.toString())).size,
+        quantity: transactions.reduce((sum, t) => sum + Math.abs(t.quantity), 0),
+        value: transactions.reduce((sum, t) => sum + Math.abs(t.quantity) * t.cost, 0)
+      },
+      transactions
+    });
+  } catch (error) {
+    if (error instanceof StockMovementError) {
+      return res.status(400).json({ message: error.message, ...error.details });
+    }
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: 'Item stock is changing rapidly; please try again' });
+    }
+    console.error('Write-off error:', error);
+    res.status(500).json({ message: 'Failed to write off expired stock', error: error.message });
+  }
+});
+
 // Get transaction summary
 router.get('/summary/stats', auth, checkPermission('canViewReports'), async (req, res) => {
   try {
@@ -207,12 +718,16 @@ router.get('/summary/stats', auth, checkPermission('canViewReports'), async (req
       checkInCount,
       checkOutCount,
       adjustmentCount,
+      transferCount,
+      disposalCount,
       recentTransactions
     ] = await Promise.all([
       Transaction.countDocuments(dateFilter),
       Transaction.countDocuments({ ...dateFilter, type: 'check-in' }),
       Transaction.countDocuments({ ...dateFilter, type: 'check-out' }),
       Transaction.countDocuments({ ...dateFilter, type: 'adjustment' }),
+      Transaction.countDocuments({ ...dateFilter, type: 'transfer' }),
+      Transaction.countDocuments({ ...dateFilter, type: 'disposal' }),
       Transaction.find(dateFilter)
         .populate('inventory', 'name')
         .populate('user', 'name')
@@ -225,7 +740,9 @@ router.get('/summary/stats', auth, checkPermission('canViewReports'), async (req
         total: totalTransactions,
         checkIn: checkInCount,
         checkOut: checkOutCount,
-        adjustment: adjustmentCount
+        adjustment: adjustmentCount,
+        transfer: transferCount,
+        disposal: disposalCount
       },
       recent: recentTransactions
     });
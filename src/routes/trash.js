@@ -0,0 +1,393 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ArchivedTransaction = require('../models/ArchivedTransaction');
+const InventoryEdit = require('../models/InventoryEdit');
+const CustomField = require('../models/CustomField');
+const Asset = require('../models/Asset');
+const Loan = require('../models/Loan');
+const Reservation = require('../models/Reservation');
+const Kit = require('../models/Kit');
+const { auth, adminOnly } = require('../middleware/auth');
+const { removeStoredFile } = require('../utils/storage');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Case-insensitive name comparison for conflict checks
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Soft-deleted records that can be listed, restored and purged
+const TRASH_TYPES = {
+  inventory: {
+    model: Inventory,
+    label: 'Inventory item',
+    fields: 'name barcode category parent hasVariants quantity unit deletedAt deletedBy updatedAt',
+    populate: [['category', 'name color'], ['parent', 'name']]
+  },
+  categories: {
+    model: Category,
+    label: 'Category',
+    fields: 'name description color deletedAt deletedBy updatedAt',
+    populate: []
+  },
+  users: {
+    model: User,
+    label: 'User',
+    fields: 'name email role deletedAt deletedBy updatedAt',
+    populate: []
+  }
+};
+
+// Days a record stays in the trash before it may be purged; set TRASH_RETENTION_DAYS in .env
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 30 : days;
+};
+
+// Only records deleted through the API are in the trash; an inactive record
+// without deletedAt (e.g. a user deactivated with PUT /api/users/:id) is not
+const TRASHED = { isActive: false, deletedAt: { $ne: null } };
+
+const getPurgeableAfter = (record) => new Date(record.deletedAt.getTime() + getRetentionDays() * DAY_MS);
+
+const describeTrashed = (record) => ({
+  ...record.toObject(),
+  purgeableAfter: getPurgeableAfter(record)
+});
+
+const listTrash = (type, schoolId) => {
+  const { model, fields, populate } = TRASH_TYPES[type];
+  let query = model.find({ school: schoolId, ...TRASHED })
+    .select(fields)
+    .populate('deletedBy', 'name email')
+    .sort({ deletedAt: -1 });
+  populate.forEach(([path, select]) => {
+    query = query.populate(path, select);
+  });
+  return query;
+};
+
+// Resolve the :type parameter
+const trashType = (req, res, next) => {
+  if (!TRASH_TYPES[req.params.type]) {
+    return res.status(404).json({
+      message: 'Unknown trash type',
+      types: Object.keys(TRASH_TYPES)
+    });
+  }
+  next();
+};
+
+const findTrashed = (req) => TRASH_TYPES[req.params.type].model.findOne({
+  _id: req.params.id,
+  school: req.user.school._id,
+  ...TRASHED
+});
+
+// Reason a record cannot be restored (as a 400 body), or null
+const getRestoreConflict = async (type, record, name) => {
+  switch (type) {
+    case 'inventory': {
+      const category = await Category.exists({ _id: record.category, isActive: true });
+      if (!category) {
+        return { message: 'Restore the category of this item first', category: record.category };
+      }
+      
+      if (record.parent) {
+        const parent = await Inventory.exists({ _id: record.parent, isActive: true });
+        if (!parent) {
+          return { message: 'Restore the parent of this variant first', parent: record.parent };
+        }
+      }
+      
+      const sameName = await Inventory.findOne({
+        school: record.school,
+        parent: record.parent,
+        name,
+        isActive: true
+      }).collation(CASE_INSENSITIVE).select('name');
+      if (sameName) {
+        return { message: 'An active inventory item already has this name', conflictingItem: sameName };
+      }
+      
+      const sameBarcode = await Inventory.findBarcodeConflict(record.school, record.barcode, record._id);
+      if (sameBarcode) {
+        return { message: 'Barcode already assigned to another item', conflictingItem: sameBarcode };
+      }
+      return null;
+    }
+    case 'categories': {
+      const sameName = await Category.findOne({
+        school: record.school,
+        name,
+        isActive: true
+      }).collation(CASE_INSENSITIVE).select('name');
+      if (sameName) {
+        return { message: 'An active category already has this name', conflictingCategory: sameName };
+      }
+      return null;
+    }
+    case 'users': {
+      const sameEmail = await User.findOne({
+        _id: { $ne: record._id },
+        email: record.email,
+        isActive: true
+      }).select('name email');
+      if (sameEmail) {
+        return { message: 'An active user already has this email', conflictingUser: sameEmail };
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Reason a record cannot be purged (as a 400 body), or null
+const getPurgeBlocker = async (type, record, archiveTransactions) => {
+  switch (type) {
+    case 'inventory': {
+      const variantCount = await Inventory.countDocuments({ parent: record._id });
+      if (variantCount > 0) {
+        return { message: 'Purge the variants of this item first', variantCount };
+      }
+      
+      // Deleted kits cannot be edited or restored, so only live kits block
+      const kitCount = await Kit.countDocuments({ 'components.inventory': record._id, isActive: true });
+      if (kitCount > 0) {
+        return { message: 'Item is a component of kits; remove it from them first', kitCount };
+      }
+      
+      const assetCount = await Asset.countDocuments({ inventory: record._id });
+      if (assetCount > 0) {
+        return { message: 'Item has serialized assets; retire them and keep the item instead', assetCount };
+      }
+      
+      const [openLoanCount, reservationCount] = await Promise.all([
+        Loan.countDocuments({ inventory: record._id, status: 'open' }),
+        Reservation.countDocuments({ inventory: record._id, status: 'active' })
+      ]);
+      if (openLoanCount > 0) {
+        return { message: 'Item is still out on loan; return it first', openLoanCount };
+      }
+      if (reservationCount > 0) {
+        return { message: 'Item has active reservations; cancel them first', reservationCount };
+      }
+      
+      const transactionCount = await Transaction.countDocuments({ inventory: record._id });
+      if (transactionCount > 0 && !archiveTransactions) {
+        return {
+          message: 'Item is referenced by transactions. Archive them to purge the item (archiveTransactions=true)',
+          transactionCount
+        };
+      }
+      return null;
+    }
+    case 'categories': {
+      const itemCount = await Inventory.countDocuments({ category: record._id });
+      if (itemCount > 0) {
+        return { message: 'Category is still used by inventory items, including deleted ones', itemCount };
+      }
+      return null;
+    }
+    case 'users': {
+      const [transactionCount, archivedCount, assetCount] = await Promise.all([
+        Transaction.countDocuments({ user: record._id }),
+        ArchivedTransaction.countDocuments({ user: record._id }),
+        Asset.countDocuments({ 'holder.user': record._id })
+      ]);
+      if (transactionCount + archivedCount > 0) {
+        return {
+          message: 'User is referenced by transactions and cannot be purged',
+          transactionCount: transactionCount + archivedCount
+        };
+      }
+      if (assetCount > 0) {
+        return { message: 'User still holds assets; return them first', assetCount };
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+// List the trash of every type (admin only)
+router.get('/', auth, adminOnly, async (req, res) => {
+  try {
+    const types = Object.keys(TRASH_TYPES);
+    const lists = await Promise.all(types.map(type => listTrash(type, req.user.school._id)));
+    
+    const trash = {};
+    types.forEach((type, index) => {
+      trash[type] = lists[index].map(describeTrashed);
+    });
+    
+    res.json({ retentionDays: getRetentionDays(), ...trash });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Failed to fetch trash', error: error.message });
+  }
+});
+
+// List deleted records of one type (admin only)
+router.get('/:type', auth, adminOnly, trashType, async (req, res) => {
+  try {
+    const records = await listTrash(req.params.type, req.user.school._id);
+    
+    res.json({
+      retentionDays: getRetentionDays(),
+      records: records.map(describeTrashed)
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Failed to fetch trash', error: error.message });
+  }
+});
+
+// Restore a deleted record (admin only). Items and categories may be renamed
+// on restore with { name } to get around a name conflict.
+router.post('/:type/:id/restore', auth, adminOnly, trashType, async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { label } = TRASH_TYPES[type];
+    const record = await findTrashed(req);
+    
+    if (!record) {
+      return res.status(404).json({ message: `${label} not found in trash` });
+    }
+    
+    const renamable = type !== 'users';
+    const name = (renamable && typeof req.body.name === 'string' && req.body.name.trim()) || record.name;
+    
+    const conflict = await getRestoreConflict(type, record, name);
+    if (conflict) {
+      return res.status(400).json(conflict);
+    }
+    
+    const deletedAt = record.deletedAt;
+    const previousName = record.name;
+    record.name = name;
+    record.isActive = true;
+    record.deletedAt = null;
+    record.deletedBy = null;
+    await record.save();
+    
+    if (type === 'inventory') {
+      const restored = [record._id];
+      
+      // Variants deleted together with their parent come back with it
+      if (record.hasVariants) {
+        const variantIds = await Inventory.find({
+          parent: record._id,
+          isActive: false,
+          deletedAt
+        }).distinct('_id');
+        
+        await Inventory.updateMany(
+          { _id: { $in: variantIds } },
+          { $set: { isActive: true, deletedAt: null, deletedBy: null } }
+        );
+        await Inventory.rollUpVariants(record._id);
+        restored.push(...variantIds);
+      }
+      
+      await InventoryEdit.insertMany(restored.map((id, index) => ({
+        inventory: id,
+        school: req.user.school._id,
+        user: req.user._id,
+        action: 'restore',
+        changes: [
+          { field: 'isActive', before: false, after: true },
+          ...(index === 0 && name !== previousName
+            ? [{ field: 'name', before: previousName, after: name }]
+            : [])
+        ]
+      })));
+    }
+    
+    res.json({
+      message: `${label} restored successfully`,
+      record: type === 'users' ? { _id: record._id, name: record.name, email: record.email } : record
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A record with this name already exists' });
+    }
+    console.error('Restore from trash error:', error);
+    res.status(500).json({ message: 'Failed to restore record', error: error.message });
+  }
+});
+
+// Permanently delete a record that has been in the trash past the retention
+// window (admin only). Items with transactions need archiveTransactions=true,
+// which moves their transactions to the archive first.
+router.delete('/:type/:id', auth, adminOnly, trashType, async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { label } = TRASH_TYPES[type];
+    const record = await findTrashed(req);
+    
+    if (!record) {
+      return res.status(404).json({ message: `${label} not found in trash` });
+    }
+    
+    const purgeableAfter = getPurgeableAfter(record);
+    if (purgeableAfter > new Date()) {
+      return res.status(400).json({
+        message: `${label} can only be purged after ${getRetentionDays()} days in the trash`,
+        purgeableAfter
+      });
+    }
+    
+    const archiveTransactions = req.query.archiveTransactions === 'true';
+    const blocker = await getPurgeBlocker(type, record, archiveTransactions);
+    if (blocker) {
+      return res.status(400).json(blocker);
+    }
+    
+    let archivedCount = 0;
+    await mongoose.connection.transaction(async (session) => {
+      archivedCount = 0;
+      if (type === 'inventory') {
+        const transactions = await Transaction.find({ inventory: record._id }).session(session).lean();
+        if (transactions.length > 0) {
+          await ArchivedTransaction.insertMany(
+            transactions.map(transaction => ({ ...transaction, archivedBy: req.user._id })),
+            { session }
+          );
+          await Transaction.deleteMany({ inventory: record._id }, { session });
+          archivedCount = transactions.length;
+        }
+        await InventoryEdit.deleteMany({ inventory: record._id }, { session });
+      }
+      
+      if (type === 'categories') {
+        // Field definitions scoped to the category have nothing left to apply to
+        await CustomField.deleteMany({ category: record._id }, { session });
+      }
+      
+      await record.deleteOne({ session });
+    });
+    
+    // Files are removed once the record is gone for good
+    if (type === 'inventory') {
+      await Promise.all(record.attachments.map(attachment => removeStoredFile(attachment.storageKey)));
+    }
+    
+    res.json({
+      message: `${label} permanently deleted`,
+      archivedTransactions: archivedCount
+    });
+  } catch (error) {
+    console.error('Purge from trash error:', error);
+    res.status(500).json({ message: 'Failed to purge record', error: error.message });
+  }
+});
+
+module.exports = router;
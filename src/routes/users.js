@@ -2,6 +2,13 @@ const express = require('express');
 const User = require('../models/User');
 const { auth, adminOnly } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
+const {
+  PaginationError,
+  parseLimit,
+  parseSort,
+  parseFields,
+  paginateWithCursor
+} = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -19,10 +26,26 @@ const validateUser = [
   }
 ];
 
-// Get all users (admin only)
+// Indexed fields the user list can be sorted by
+const USER_SORT_FIELDS = ['createdAt', 'name', 'email'];
+
+// Fields the user list can be trimmed to with ?fields=
+const USER_LIST_FIELDS = ['name', 'email', 'role', 'permissions', 'isActive', 'lastLogin', 'createdAt', 'updatedAt'];
+
+// Get all users (admin only). Pass ?cursor= (empty for the first page) for
+// cursor pagination and ?fields= to trim the rows.
 router.get('/', auth, adminOnly, async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '', role = '' } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      search = '',
+      role = '',
+      sortBy = 'createdAt',
+      sortOrder = 'desc',
+      cursor,
+      fields
+    } = req.query;
     
     const query = { school: req.user.school._id };
     
@@ -37,27 +60,47 @@ router.get('/', auth, adminOnly, async (req, res) => {
       query.role = role;
     }
     
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const pageSize = parseLimit(limit);
+    const sort = parseSort(sortBy, sortOrder, USER_SORT_FIELDS, 'createdAt');
+    const projection = parseFields(fields, USER_LIST_FIELDS, [sort.field]) || '-password -refreshToken';
+    const findUsers = (filter, sortOptions) => User.find(filter)
+      .select(projection)
+      .sort(sortOptions);
+    
+    if (cursor !== undefined) {
+      const { docs, pagination } = await paginateWithCursor({
+        query,
+        sort,
+        limit: pageSize,
+        cursor,
+        find: findUsers
+      });
+      return res.json({ users: docs, pagination });
+    }
+    
+    const pageNumber = parseInt(page) || 1;
+    const skip = (pageNumber - 1) * pageSize;
     
     const [users, total] = await Promise.all([
-      User.find(query)
-        .select('-password -refreshToken')
-        .sort({ createdAt: -1 })
+      findUsers(query, sort.sort)
         .skip(skip)
-        .limit(parseInt(limit)),
+        .limit(pageSize),
       User.countDocuments(query)
     ]);
     
     res.json({
       users,
       pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
         total,
-        limit: parseInt(limit)
+        limit: pageSize
       }
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({ message: error.message, ...error.details });
+    }
     console.error('Get users error:', error);
     res.status(500).json({ message: 'Failed to fetch users', error: error.message });
   }
@@ -158,6 +201,11 @@ router.put('/:id', auth, adminOnly, validateUser, async (req, res) => {
     user.email = email;
     user.role = role;
     if (isActive !== undefined) user.isActive = isActive;
+    // Reactivating takes the user out of the trash
+    if (user.isActive) {
+      user.deletedAt = null;
+      user.deletedBy = null;
+    }
     
     // Update permissions
     if (role === 'admin') {
@@ -202,6 +250,8 @@ router.delete('/:id', auth, adminOnly, async (req, res) => {
     
     // Soft delete by deactivating
     user.isActive = false;
+    user.deletedAt = new Date();
+    user.deletedBy = req.user._id;
     await user.save();
     
     res.json({ message: 'User deleted successfully' });
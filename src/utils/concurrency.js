@@ -0,0 +1,49 @@
+// Version-checked updates. A document's version is its `__v`, sent to clients
+// as the ETag of GET/PUT responses. Clients send it back in an If-Match header
+// or as `version` in the body; an update made against an older version gets
+// a 409 with the current state instead of overwriting someone else's change.
+
+const toETag = (doc) => `"${doc.__v}"`;
+
+const setETag = (res, doc) => {
+  res.set('ETag', toETag(doc));
+};
+
+/**
+ * Version the client last saw, from If-Match (`"3"`, `W/"3"`) or the body
+ * (`version` or `__v`). Returns null when the client did not send one.
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const version = parseInt(ifMatch.trim().replace(/^W\//, '').replace(/"/g, ''), 10);
+    return Number.isNaN(version) ? -1 : version;
+  }
+
+  const version = req.body?.version ?? req.body?.__v;
+  if (version === undefined || version === null || version === '') return null;
+  const parsed = parseInt(version, 10);
+  return Number.isNaN(parsed) ? -1 : parsed;
+};
+
+// True when the client sent a version and it is not the stored one
+const isStale = (req, doc) => {
+  const expected = getExpectedVersion(req);
+  return expected !== null && expected !== doc.__v;
+};
+
+const sendVersionConflict = (res, current, label) => {
+  setETag(res, current);
+  return res.status(409).json({
+    message: `${label} was changed by someone else. Review the current version and try again.`,
+    currentVersion: current.__v,
+    current
+  });
+};
+
+module.exports = {
+  setETag,
+  getExpectedVersion,
+  isStale,
+  sendVersionConflict
+};
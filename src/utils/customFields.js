@@ -0,0 +1,111 @@
+const CustomField = require('../models/CustomField');
+const { escapeRegex } = require('./search');
+
+// Active field definitions that apply to items in a category
+const getFieldsForCategory = (schoolId, categoryId) => {
+  return CustomField.find({
+    school: schoolId,
+    isActive: true,
+    category: { $in: [null, categoryId] }
+  }).sort({ label: 1 });
+};
+
+// Convert a submitted value to the stored form for its field type.
+// Returns { value } or { error }.
+const castValue = (field, raw) => {
+  switch (field.type) {
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || Number.isNaN(value)) return { error: `${field.label} must be a number` };
+      return { value };
+    }
+    case 'date': {
+      const value = new Date(raw);
+      if (Number.isNaN(value.getTime())) return { error: `${field.label} must be a valid date` };
+      return { value };
+    }
+    case 'select': {
+      const value = String(raw);
+      if (!field.options.includes(value)) {
+        return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+      }
+      return { value };
+    }
+    default:
+      return { value: String(raw).trim() };
+  }
+};
+
+/**
+ * Check submitted custom field values against the definitions for an item.
+ * `values` is merged over `existing`; a null value clears a field.
+ * Returns { values, errors } with errors shaped like express-validator's.
+ */
+const validateCustomFieldValues = (fields, values = {}, existing = {}) => {
+  const errors = [];
+  const result = {};
+  const byKey = new Map(fields.map(field => [field.key, field]));
+
+  Object.keys(values).forEach(key => {
+    if (!byKey.has(key)) {
+      errors.push({ path: `customFields.${key}`, msg: 'Unknown custom field', value: values[key] });
+    }
+  });
+
+  fields.forEach(field => {
+    const submitted = Object.prototype.hasOwnProperty.call(values, field.key);
+    const raw = submitted ? values[field.key] : existing[field.key];
+
+    if (raw === null || raw === undefined || raw === '') {
+      if (field.required) {
+        errors.push({ path: `customFields.${field.key}`, msg: `${field.label} is required` });
+      }
+      return;
+    }
+
+    const { value, error } = castValue(field, raw);
+    if (error) {
+      errors.push({ path: `customFields.${field.key}`, msg: error, value: raw });
+    } else {
+      result[field.key] = value;
+    }
+  });
+
+  return { values: result, errors };
+};
+
+// Query condition on customFields.<key> for a list filter value.
+// Returns { condition } or { error }.
+const buildFilterCondition = (field, raw) => {
+  const { value, error } = castValue(field, raw);
+  if (error) return { error };
+
+  switch (field.type) {
+    case 'date': {
+      // Match anywhere on the given day
+      const start = new Date(value);
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+      return { condition: { $gte: start, $lt: end } };
+    }
+    case 'text':
+      return { condition: { $regex: `^${escapeRegex(value)}$`, $options: 'i' } };
+    default:
+      return { condition: value };
+  }
+};
+
+// Display value of a custom field for exports
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) return '';
+  if (field.type === 'date') return new Date(value).toLocaleDateString();
+  return value;
+};
+
+module.exports = {
+  getFieldsForCategory,
+  castValue,
+  validateCustomFieldValues,
+  buildFilterCondition,
+  formatValue
+};
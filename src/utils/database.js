@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Stock movements write the items, their ledger entries and related documents
+// in one MongoDB transaction (see utils/stockMovements), as do item merges and
+// trash purges. Transactions need a replica set or a sharded cluster; a
+// standalone mongod can be run as a single-node replica set instead:
+//
+//   mongod --replSet rs0            then once, in mongosh: rs.initiate()
+//   MONGO_URI=mongodb://localhost:27017/stock-manager?replicaSet=rs0
+
+// True when the connected deployment supports multi-document transactions
+const supportsTransactions = async (connection = mongoose.connection) => {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+};
+
+// Checked at startup so a standalone server fails straight away instead of
+// every stock movement failing later
+const requireTransactionSupport = async (connection = mongoose.connection) => {
+  if (!(await supportsTransactions(connection))) {
+    throw new Error(
+      'MongoDB at MONGO_URI is a standalone server, but stock movements need transactions. ' +
+      'Run it as a replica set (a single-node one is enough: start mongod with --replSet rs0, ' +
+      'run rs.initiate() once) and add ?replicaSet=rs0 to MONGO_URI.'
+    );
+  }
+};
+
+module.exports = {
+  supportsTransactions,
+  requireTransactionSupport
+};
@@ -1,4 +1,5 @@
 const PdfPrinter = require('pdfmake');
+const bwipjs = require('bwip-js');
 
 // Use core fonts that do not require embedding TTF files.
 const fonts = {
@@ -84,28 +85,158 @@ function buildDocDefinition({ type, title, columns, rows, footerSchool, createdA
   return docDefinition;
 }
 
+function renderPdf(docDefinition) {
+  const printer = getPrinter();
+  const pdfDoc = printer.createPdfKitDocument(docDefinition);
+  const chunks = [];
+
+  return new Promise((resolve, reject) => {
+    pdfDoc.on('data', (chunk) => chunks.push(chunk));
+    pdfDoc.on('end', () => resolve(Buffer.concat(chunks)));
+    pdfDoc.on('error', (err) => {
+      console.error('PDF generation error:', err);
+      reject(err);
+    });
+    pdfDoc.end();
+  });
+}
+
 async function buildPdfBuffer({ type, title, columns, rows, footerSchool, createdAt }) {
   try {
-    const printer = getPrinter();
     const docDefinition = buildDocDefinition({ type, title, columns, rows, footerSchool, createdAt });
-    const pdfDoc = printer.createPdfKitDocument(docDefinition);
-    const chunks = [];
-
-    return new Promise((resolve, reject) => {
-      pdfDoc.on('data', (chunk) => chunks.push(chunk));
-      pdfDoc.on('end', () => resolve(Buffer.concat(chunks)));
-      pdfDoc.on('error', (err) => {
-        console.error('PDF generation error:', err);
-        reject(err);
-      });
-      pdfDoc.end();
-    });
+    return await renderPdf(docDefinition);
   } catch (err) {
     console.error('PDF build error:', err);
     throw err;
   }
 }
 
+// Common A4 sticker sheets. All dimensions in millimetres.
+const LABEL_LAYOUTS = {
+  'a4-8': { description: '2 x 4, 99.1 x 67.7 mm (L7165)', columns: 2, rows: 4, labelWidth: 99.1, labelHeight: 67.7, marginTop: 13.1, marginLeft: 4.65, gapX: 2.5, gapY: 0 },
+  'a4-14': { description: '2 x 7, 99.1 x 38.1 mm (L7163)', columns: 2, rows: 7, labelWidth: 99.1, labelHeight: 38.1, marginTop: 15.1, marginLeft: 4.65, gapX: 2.5, gapY: 0 },
+  'a4-21': { description: '3 x 7, 63.5 x 38.1 mm (L7160)', columns: 3, rows: 7, labelWidth: 63.5, labelHeight: 38.1, marginTop: 15.1, marginLeft: 7.2, gapX: 2.5, gapY: 0 },
+  'a4-24': { description: '3 x 8, 63.5 x 33.9 mm (L7159)', columns: 3, rows: 8, labelWidth: 63.5, labelHeight: 33.9, marginTop: 12.9, marginLeft: 7.2, gapX: 2.5, gapY: 0 },
+  'a4-65': { description: '5 x 13, 38.1 x 21.2 mm (L7651)', columns: 5, rows: 13, labelWidth: 38.1, labelHeight: 21.2, marginTop: 10.7, marginLeft: 4.7, gapX: 2.5, gapY: 0 },
+};
+
+const mmToPt = (mm) => (mm * 72) / 25.4;
+
+async function buildCodeNode(code, symbology, width, height) {
+  if (symbology === 'qr') {
+    return { qr: code, fit: Math.min(width, height), alignment: 'center' };
+  }
+
+  const png = await bwipjs.toBuffer({
+    bcid: 'code128',
+    text: code,
+    scale: 3,
+    height: 10,
+    includetext: true,
+    textxalign: 'center',
+  });
+  return { image: `data:image/png;base64,${png.toString('base64')}`, fit: [width, height], alignment: 'center' };
+}
+
+async function buildLabelNode(label, symbology, width, height, padding) {
+  // Small labels get smaller text so the code keeps most of the space
+  const nameSize = height < 70 ? 7 : 9;
+  const detailSize = height < 70 ? 5 : 7;
+  const textHeight = (nameSize + detailSize) * 1.3;
+  const codeNode = await buildCodeNode(label.code, symbology, width, Math.max(height - textHeight, 10));
+  // Keep the name on one line so it cannot push the code off the sticker
+  const maxChars = Math.floor(width / (nameSize * 0.55));
+  const name = label.name.length > maxChars ? `${label.name.slice(0, maxChars - 1)}…` : label.name;
+
+  return {
+    margin: [padding, padding, padding, 0],
+    stack: [
+      { text: name, bold: true, fontSize: nameSize, alignment: 'center' },
+      { text: [label.unit, label.location].filter(Boolean).join(' · '), fontSize: detailSize, alignment: 'center', color: '#555555' },
+      codeNode,
+    ],
+  };
+}
+
+/**
+ * Build a sheet of shelf/bin labels.
+ * labels: [{ name, unit, location, code }]
+ * layout: one of LABEL_LAYOUTS (optionally with overridden dimensions)
+ * symbology: 'code128' or 'qr'
+ */
+async function buildLabelSheetBuffer({ labels, layout, symbology = 'code128' }) {
+  try {
+    const perPage = layout.columns * layout.rows;
+    const padding = mmToPt(2);
+    const cellWidth = mmToPt(layout.labelWidth);
+    const cellHeight = mmToPt(layout.labelHeight);
+    const innerWidth = cellWidth - padding * 2;
+    const innerHeight = cellHeight - padding * 2;
+
+    // Column widths alternate label / horizontal gap
+    const widths = [];
+    for (let c = 0; c < layout.columns; c++) {
+      if (c > 0) widths.push(mmToPt(layout.gapX));
+      widths.push(cellWidth);
+    }
+
+    const nodes = await Promise.all(labels.map(label => buildLabelNode(label, symbology, innerWidth, innerHeight, padding)));
+
+    const content = [];
+    for (let start = 0; start < nodes.length; start += perPage) {
+      const pageNodes = nodes.slice(start, start + perPage);
+      const body = [];
+      const heights = [];
+      for (let r = 0; r < layout.rows; r++) {
+        if (r > 0 && layout.gapY > 0) {
+          body.push(widths.map(() => ''));
+          heights.push(mmToPt(layout.gapY));
+        }
+        const row = [];
+        for (let c = 0; c < layout.columns; c++) {
+          if (c > 0) row.push('');
+          row.push(pageNodes[r * layout.columns + c] || '');
+        }
+        body.push(row);
+        heights.push(cellHeight);
+      }
+
+      content.push({
+        table: { widths, heights, body, dontBreakRows: true },
+        // Cells are sized exactly to the sticker; spacing comes from the label margin
+        layout: {
+          defaultBorder: false,
+          hLineWidth: () => 0,
+          vLineWidth: () => 0,
+          paddingLeft: () => 0,
+          paddingRight: () => 0,
+          paddingTop: () => 0,
+          paddingBottom: () => 0,
+        },
+        pageBreak: start > 0 ? 'before' : undefined,
+      });
+    }
+
+    const docDefinition = {
+      pageSize: 'A4',
+      pageOrientation: 'portrait',
+      pageMargins: [mmToPt(layout.marginLeft), mmToPt(layout.marginTop), 0, 0],
+      content,
+      defaultStyle: {
+        font: 'Helvetica',
+        fontSize: 8,
+      },
+    };
+
+    return await renderPdf(docDefinition);
+  } catch (err) {
+    console.error('Label PDF build error:', err);
+    throw err;
+  }
+}
+
 module.exports = {
   buildPdfBuffer,
+  buildLabelSheetBuffer,
+  LABEL_LAYOUTS,
 };
@@ -0,0 +1,107 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+// Accepted column headers (compared lowercase with punctuation removed).
+// The export column names are included so exported reports can be re-imported.
+const COLUMN_MAP = {
+  name: 'name',
+  itemname: 'name',
+  description: 'description',
+  category: 'category',
+  quantity: 'quantity',
+  unit: 'unit',
+  minthreshold: 'minThreshold',
+  maxthreshold: 'maxThreshold',
+  cost: 'cost',
+  unitcost: 'cost',
+  barcode: 'barcode',
+  location: 'location',
+  suppliername: 'supplier.name',
+  supplier: 'supplier.name',
+  suppliercontact: 'supplier.contact',
+  supplieremail: 'supplier.email'
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Plain value of an exceljs cell (formulas, rich text and hyperlinks included)
+function cellValue(value) {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.richText) return value.richText.map(rt => rt.text).join('');
+    if (value.text !== undefined) return value.text;
+    return undefined;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed === '' ? undefined : trimmed;
+  }
+  return value;
+}
+
+async function loadWorksheet(buffer, filename) {
+  const workbook = new ExcelJS.Workbook();
+  if (/\.csv$/i.test(filename)) {
+    // Keep CSV values as text so barcodes keep their leading zeros
+    return workbook.csv.read(Readable.from(buffer), { map: value => value });
+  }
+  await workbook.xlsx.load(buffer);
+  return workbook.worksheets[0];
+}
+
+/**
+ * Read inventory rows from a CSV or XLSX upload.
+ * Returns [{ rowNumber, data }] where data is shaped like a POST /api/inventory body
+ * (with the category given by name).
+ */
+async function readInventoryRows(buffer, filename) {
+  const worksheet = await loadWorksheet(buffer, filename);
+  if (!worksheet) return [];
+
+  // The header row is the first row with a name column (exports have a title row above it)
+  let headerRowNumber = null;
+  let fields = {};
+  worksheet.eachRow((row, rowNumber) => {
+    if (headerRowNumber) return;
+    const rowFields = {};
+    row.eachCell((cell, colNumber) => {
+      const field = COLUMN_MAP[normalizeHeader(cellValue(cell.value))];
+      if (field) rowFields[colNumber] = field;
+    });
+    if (Object.values(rowFields).includes('name')) {
+      headerRowNumber = rowNumber;
+      fields = rowFields;
+    }
+  });
+
+  if (!headerRowNumber) return [];
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber <= headerRowNumber) return;
+
+    const data = {};
+    Object.entries(fields).forEach(([colNumber, field]) => {
+      let value = cellValue(row.getCell(parseInt(colNumber, 10)).value);
+      if (value === undefined) return;
+      if (field === 'barcode') value = String(value);
+      if (field.startsWith('supplier.')) {
+        data.supplier = { ...data.supplier, [field.split('.')[1]]: String(value) };
+      } else {
+        data[field] = value;
+      }
+    });
+
+    if (Object.keys(data).length > 0) {
+      rows.push({ rowNumber, data });
+    }
+  });
+
+  return rows;
+}
+
+module.exports = {
+  readInventoryRows,
+};
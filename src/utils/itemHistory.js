@@ -0,0 +1,116 @@
+// Item fields whose edits are recorded in the item history. Stock levels are
+// recorded by their transactions instead.
+const TRACKED_FIELDS = [
+  'name',
+  'description',
+  'category',
+  'unit',
+  'unitConversions',
+  'cost',
+  'minThreshold',
+  'maxThreshold',
+  'supplier',
+  'barcode',
+  'trackLots',
+  'variantAttributes',
+  'customFields',
+  'isActive'
+];
+
+// Plain JSON values of the tracked fields of an inventory document
+const snapshotItem = (item) => {
+  const plain = JSON.parse(JSON.stringify(item.toObject({ flattenMaps: true })));
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    const value = plain[field];
+    snapshot[field] = value && typeof value === 'object' && value._id ? value._id : (value ?? null);
+    return snapshot;
+  }, {});
+};
+
+// [{ field, before, after }] for every tracked field that differs
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map(field => ({ field, before: before[field], after: after[field] }));
+
+/**
+ * Merge an item's transactions and field edits into one timeline, newest
+ * first. Every entry carries the item's quantity after it (`balance`).
+ *
+ * Transactions moved over from merged items still hold those items'
+ * quantities, so the balance is kept per item and added up; each merge in
+ * `merges` (the `merge` edits of this item and of the items merged into it)
+ * folds its sources' balances into its target's.
+ */
+const buildTimeline = (transactions, edits, merges = []) => {
+  const entries = [
+    ...transactions.map(transaction => ({
+      kind: 'transaction',
+      _id: transaction._id,
+      at: transaction.createdAt,
+      user: transaction.user,
+      action: transaction.type,
+      changes: [{
+        field: 'quantity',
+        before: transaction.previousQuantity,
+        after: transaction.newQuantity
+      }],
+      quantity: transaction.quantity,
+      reason: transaction.reason,
+      reference: transaction.reference,
+      location: transaction.location,
+      lots: transaction.lots,
+      mergedFrom: transaction.mergedFrom,
+      balance: transaction.newQuantity
+    })),
+    ...edits.map(edit => ({
+      kind: 'edit',
+      _id: edit._id,
+      at: edit.createdAt,
+      user: edit.user,
+      action: edit.action,
+      changes: edit.changes,
+      transactions: edit.transactions
+    }))
+  ];
+  const itemOf = new Map(transactions.map(transaction => [
+    transaction._id.toString(),
+    String(transaction.mergedFrom || transaction.inventory?._id || transaction.inventory)
+  ]));
+  const folds = merges.map(edit => ({
+    kind: 'merge',
+    at: edit.createdAt,
+    target: String(edit.inventory),
+    sources: edit.changes
+      .filter(change => change.field === 'mergedFrom')
+      .flatMap(change => change.after || [])
+      .map(source => String(source._id))
+  }));
+
+  // Edits and merges come after the transactions they created at the same instant
+  const order = { transaction: 0, merge: 1, edit: 2 };
+  const timeline = [...entries, ...folds].sort((a, b) => a.at - b.at || order[a.kind] - order[b.kind]);
+
+  const balances = new Map();
+  const total = () => [...balances.values()].reduce((sum, quantity) => sum + quantity, 0);
+  timeline.forEach(entry => {
+    if (entry.kind === 'transaction') {
+      balances.set(itemOf.get(entry._id.toString()), entry.balance);
+      entry.balance = total();
+    } else if (entry.kind === 'merge') {
+      const folded = entry.sources.reduce((sum, id) => sum + (balances.get(id) || 0), 0);
+      entry.sources.forEach(id => balances.delete(id));
+      balances.set(entry.target, (balances.get(entry.target) || 0) + folded);
+    } else {
+      entry.balance = total();
+    }
+  });
+
+  return entries.sort((a, b) => b.at - a.at || order[b.kind] - order[a.kind]);
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotItem,
+  diffSnapshots,
+  buildTimeline
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+
+// One-off migration for items saved before stock was held per location. Their
+// stock moves into their old free-text `location` (the default location when
+// none was recorded), as the Inventory model does when such an item is saved.
+// Until then location filters, per-location totals and reports leave them out.
+const migrateLegacyLocations = async () => {
+  const result = await Inventory.collection.updateMany(
+    {
+      hasVariants: { $ne: true },
+      quantity: { $gt: 0 },
+      $or: [{ locations: { $exists: false } }, { locations: { $size: 0 } }]
+    },
+    [{
+      $set: {
+        locations: [{
+          name: {
+            $let: {
+              vars: { name: { $trim: { input: { $ifNull: ['$location', ''] } } } },
+              in: { $cond: [{ $gt: [{ $strLenCP: '$$name' }, 0] }, '$$name', Inventory.DEFAULT_LOCATION] }
+            }
+          },
+          quantity: '$quantity'
+        }]
+      }
+    }, {
+      $unset: 'location'
+    }]
+  );
+  
+  console.log(`Moved the stock of ${result.modifiedCount} item(s) into locations`);
+  return result.modifiedCount;
+};
+
+// Run the migration if called directly
+if (require.main === module) {
+  require('dotenv').config();
+  mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/playschool-stock')
+    .then(() => migrateLegacyLocations())
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Migration error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateLegacyLocations;
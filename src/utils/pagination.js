@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+const MAX_LIMIT = 100;
+
+// Error raised for bad list parameters; routes answer it with a 400
+class PaginationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PaginationError';
+    this.details = details;
+  }
+}
+
+const parseLimit = (limit, fallback = 10) => {
+  const parsed = parseInt(limit, 10);
+  if (Number.isNaN(parsed) || parsed < 1) return fallback;
+  return Math.min(parsed, MAX_LIMIT);
+};
+
+/**
+ * Sort of a list endpoint. `sortBy` must be one of the endpoint's indexed
+ * sort fields; ties are broken by _id so every row has a stable position.
+ * Returns { field, direction, sort }.
+ */
+const parseSort = (sortBy, sortOrder, allowed, fallback) => {
+  const field = sortBy || fallback;
+  if (!allowed.includes(field)) {
+    throw new PaginationError(`Cannot sort by ${field}`, { sortableFields: allowed });
+  }
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  return { field, direction, sort: { [field]: direction, _id: direction } };
+};
+
+/**
+ * Projection for `?fields=name,quantity`, limited to the endpoint's public
+ * fields. `required` fields (e.g. the sort key) are always included.
+ * Returns null when no fields were asked for.
+ */
+const parseFields = (fields, allowed, required = []) => {
+  if (!fields) return null;
+  const requested = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = requested.filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    throw new PaginationError(`Unknown fields: ${unknown.join(', ')}`, { selectableFields: allowed });
+  }
+  return [...new Set([...requested, ...required])].join(' ');
+};
+
+// Cursors are opaque to clients: base64url JSON of the sort key and position
+const encodeCursor = (sort, doc, towards) => {
+  const value = doc[sort.field];
+  const payload = {
+    f: sort.field,
+    d: sort.direction,
+    v: value instanceof mongoose.Types.ObjectId ? String(value) : value,
+    t: value instanceof Date ? 'date' : (value instanceof mongoose.Types.ObjectId ? 'id' : undefined),
+    id: String(doc._id),
+    to: towards
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+  if (!payload || !mongoose.isValidObjectId(payload.id) || !['next', 'prev'].includes(payload.to)) {
+    throw new PaginationError('Invalid cursor');
+  }
+  // A cursor only makes sense for the sort it was issued for
+  if (payload.f !== sort.field || payload.d !== sort.direction) {
+    throw new PaginationError('Cursor does not match the requested sort; start again without a cursor');
+  }
+
+  let value = payload.v;
+  if (payload.t === 'date') value = new Date(value);
+  if (payload.t === 'id') value = new mongoose.Types.ObjectId(value);
+  return { value, id: new mongoose.Types.ObjectId(payload.id), towards: payload.to };
+};
+
+/**
+ * Run a list query in cursor mode. `cursor` is '' for the first page or a
+ * cursor from a previous response. `find(query, sort)` builds the Mongoose
+ * query (projection, populate, ...) for a filter and sort.
+ * Returns { docs, pagination } with next/prev cursors (null at either end).
+ */
+const paginateWithCursor = async ({ query, sort, limit, cursor, find }) => {
+  let position = null;
+  if (cursor) {
+    position = decodeCursor(cursor, sort);
+  }
+
+  // Paging backwards walks the sort in reverse and flips the page afterwards
+  const backwards = position && position.towards === 'prev';
+  const direction = backwards ? -sort.direction : sort.direction;
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  let filter = query;
+  if (position) {
+    filter = {
+      ...query,
+      $and: [
+        ...(query.$and || []),
+        {
+          $or: [
+            { [sort.field]: { [op]: position.value } },
+            { [sort.field]: position.value, _id: { [op]: position.id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  const docs = await find(filter, { [sort.field]: direction, _id: direction }).limit(limit + 1);
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = backwards ? Boolean(position) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position);
+
+  return {
+    docs: page,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      next: hasNext && last ? encodeCursor(sort, last, 'next') : null,
+      prev: hasPrev && first ? encodeCursor(sort, first, 'prev') : null
+    }
+  };
+};
+
+module.exports = {
+  PaginationError,
+  parseLimit,
+  parseSort,
+  parseFields,
+  paginateWithCursor
+};
@@ -0,0 +1,104 @@
+const { tokenize } = require('./similarity');
+
+// Make user input safe to use inside a regular expression
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Levenshtein distance, giving up once it is over `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed in a search term of this length
+const allowedTypos = (term) => {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+};
+
+// How well one search term matches a list of words, from 0 to 1
+const termScore = (term, words) => {
+  const typos = allowedTypos(term);
+  let best = 0;
+
+  words.forEach(word => {
+    let score = 0;
+    if (word === term) {
+      score = 1;
+    } else if (word.startsWith(term)) {
+      score = 0.8;
+    } else if (term.length >= 3 && word.includes(term)) {
+      score = 0.5;
+    } else if (typos > 0 && editDistance(term, word, typos) <= typos) {
+      score = 0.6;
+    } else if (typos > 0 && word.length > term.length &&
+      editDistance(term, word.slice(0, term.length), typos) <= typos) {
+      // A partial word with a typo, e.g. "pencl" for "pencils"
+      score = 0.4;
+    }
+    best = Math.max(best, score);
+  });
+
+  return best;
+};
+
+/**
+ * Relevance of a document to a search string. `fields` is a list of
+ * { text, weight } to search in. Every search term has to match some field,
+ * allowing partial words and small typos; otherwise the score is 0.
+ */
+const relevanceScore = (query, fields) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return 0;
+
+  const fieldWords = fields.map(field => ({ words: tokenize(field.text), weight: field.weight }));
+
+  let total = 0;
+  for (const term of terms) {
+    const best = Math.max(...fieldWords.map(field => termScore(term, field.words) * field.weight));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total;
+};
+
+/**
+ * MongoDB filter for the documents that can score above 0 for a search
+ * string, so only those need to be loaded and scored. Every term must appear
+ * in one of `paths`. A term allowed k typos is split into k + 1 pieces, and
+ * at least one of them survives k typos intact, so matching any piece is
+ * enough. Returns null when the search has no terms.
+ */
+const buildSearchFilter = (query, paths) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return null;
+
+  return {
+    $and: terms.map(term => {
+      const parts = allowedTypos(term) + 1;
+      const size = Math.floor(term.length / parts);
+      const pieces = Array.from({ length: parts }, (_, index) => term.slice(index * size, (index + 1) * size));
+      const pattern = [...new Set(pieces)].map(escapeRegex).join('|');
+      return { $or: paths.map(path => ({ [path]: { $regex: pattern, $options: 'i' } })) };
+    })
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  relevanceScore,
+  buildSearchFilter
+};
@@ -98,97 +98,89 @@ const seedData = async () => {
         name: 'Colored Pencils',
         description: '24-pack colored pencils for art activities',
         category: createdCategories[1]._id, // Arts & Crafts
-        quantity: 15,
+        locations: [{ name: 'Art Room Cabinet A', quantity: 15 }],
         unit: 'packs',
         minThreshold: 5,
         maxThreshold: 30,
         cost: 3.99,
-        supplier: { name: 'Art Supply Co', contact: '555-0101' },
-        location: 'Art Room Cabinet A'
+        supplier: { name: 'Art Supply Co', contact: '555-0101' }
       },
       {
         name: 'Construction Paper',
         description: 'Assorted colors construction paper',
         category: createdCategories[1]._id, // Arts & Crafts
-        quantity: 8,
+        locations: [{ name: 'Art Room Shelf B', quantity: 8 }],
         unit: 'packs',
         minThreshold: 10,
         maxThreshold: 25,
         cost: 5.49,
-        supplier: { name: 'Paper Plus', contact: '555-0102' },
-        location: 'Art Room Shelf B'
+        supplier: { name: 'Paper Plus', contact: '555-0102' }
       },
       {
         name: 'Soccer Balls',
         description: 'Size 3 soccer balls for outdoor play',
         category: createdCategories[2]._id, // Outdoor Play
-        quantity: 4,
+        locations: [{ name: 'Equipment Shed', quantity: 4 }],
         unit: 'pieces',
         minThreshold: 3,
         maxThreshold: 8,
         cost: 12.99,
-        supplier: { name: 'Sports Equipment Ltd', contact: '555-0103' },
-        location: 'Equipment Shed'
+        supplier: { name: 'Sports Equipment Ltd', contact: '555-0103' }
       },
       {
         name: 'Playground Chalk',
         description: 'Sidewalk chalk for outdoor activities',
         category: createdCategories[2]._id, // Outdoor Play
-        quantity: 12,
+        locations: [{ name: 'Outdoor Storage', quantity: 12 }],
         unit: 'boxes',
         minThreshold: 6,
         maxThreshold: 20,
         cost: 2.99,
-        supplier: { name: 'Outdoor Fun Co', contact: '555-0104' },
-        location: 'Outdoor Storage'
+        supplier: { name: 'Outdoor Fun Co', contact: '555-0104' }
       },
       {
         name: 'Paper Towels',
         description: 'Absorbent paper towels for cleanup',
         category: createdCategories[3]._id, // Kitchen Supplies
-        quantity: 24,
+        locations: [{ name: 'Kitchen Storage', quantity: 24 }],
         unit: 'rolls',
         minThreshold: 12,
         maxThreshold: 40,
         cost: 1.99,
-        supplier: { name: 'Cleaning Supplies Inc', contact: '555-0105' },
-        location: 'Kitchen Storage'
+        supplier: { name: 'Cleaning Supplies Inc', contact: '555-0105' }
       },
       {
         name: 'Disposable Cups',
         description: '8oz disposable cups for snack time',
         category: createdCategories[3]._id, // Kitchen Supplies
-        quantity: 2,
+        locations: [{ name: 'Kitchen Cabinet', quantity: 2 }],
         unit: 'packs',
         minThreshold: 5,
         maxThreshold: 15,
         cost: 4.99,
-        supplier: { name: 'Party Supply Store', contact: '555-0106' },
-        location: 'Kitchen Cabinet'
+        supplier: { name: 'Party Supply Store', contact: '555-0106' }
       },
       {
         name: 'Copy Paper',
         description: 'White copy paper for printing',
         category: createdCategories[4]._id, // Office Supplies
-        quantity: 6,
+        locations: [{ name: 'Office Supply Closet', quantity: 6 }],
         unit: 'reams',
         minThreshold: 3,
         maxThreshold: 12,
         cost: 7.99,
-        supplier: { name: 'Office Depot', contact: '555-0107' },
-        location: 'Office Supply Closet'
+        supplier: { name: 'Office Depot', contact: '555-0107' }
       },
       {
         name: 'Markers',
         description: 'Washable markers for classroom activities',
         category: createdCategories[0]._id, // Classroom 1
-        quantity: 18,
+        locations: [{ name: 'Classroom 1 Supply Cabinet', quantity: 18 }],
         unit: 'sets',
         minThreshold: 8,
         maxThreshold: 25,
         cost: 6.99,
-        supplier: { name: 'School Supply Co', contact: '555-0108' },
-        location: 'Classroom 1 Supply Cabinet'
+        supplier: { name: 'School Supply Co', contact: '555-0108' }
       }
     ];
     
@@ -211,7 +203,8 @@ const seedData = async () => {
         previousQuantity: 0,
         newQuantity: item.quantity,
         reason: 'Initial stock',
-        cost: item.cost
+        cost: item.cost,
+        location: { to: item.locations[0].name }
       });
       await transaction.save();
     }
@@ -245,25 +238,20 @@ const seedData = async () => {
     for (const transData of sampleTransactions) {
       const item = await Inventory.findById(transData.inventory);
       const previousQuantity = item.quantity;
-      let newQuantity;
-      
-      if (transData.type === 'check-out') {
-        newQuantity = previousQuantity - transData.quantity;
-        item.quantity = newQuantity;
-      } else if (transData.type === 'check-in') {
-        newQuantity = previousQuantity + transData.quantity;
-        item.quantity = newQuantity;
-      }
+      const locationName = item.locations[0].name;
+      const delta = transData.type === 'check-out' ? -transData.quantity : transData.quantity;
       
+      item.adjustLocationQuantity(locationName, delta);
       await item.save();
       
       const transaction = new Transaction({
         ...transData,
         school: school._id,
         previousQuantity,
-        newQuantity,
-        quantity: transData.type === 'check-out' ? -transData.quantity : transData.quantity,
-        cost: item.cost
+        newQuantity: item.quantity,
+        quantity: delta,
+        cost: item.cost,
+        location: delta < 0 ? { from: locationName } : { to: locationName }
       });
       await transaction.save();
     }
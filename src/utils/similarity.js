@@ -0,0 +1,60 @@
+// Lower-case words of a name with punctuation dropped, e.g. "Paper, A4" -> ['paper', 'a4']
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean);
+
+const bigrams = (text) => {
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i += 1) {
+    pairs.push(text.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+// Shared words over all words
+const jaccard = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const shared = [...setA].filter(token => setB.has(token)).length;
+  const total = new Set([...setA, ...setB]).size;
+  return total === 0 ? 0 : shared / total;
+};
+
+// Sørensen–Dice coefficient over character pairs; tolerates typos and plurals
+const dice = (a, b) => {
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  if (pairsA.length === 0 || pairsB.length === 0) return a === b ? 1 : 0;
+
+  const counts = new Map();
+  pairsA.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let shared = 0;
+  pairsB.forEach(pair => {
+    const count = counts.get(pair) || 0;
+    if (count > 0) {
+      shared += 1;
+      counts.set(pair, count - 1);
+    }
+  });
+  return (2 * shared) / (pairsA.length + pairsB.length);
+};
+
+/**
+ * How alike two item names are, from 0 to 1. Word order is ignored, so
+ * "A4 Paper" and "Paper A4" score 1.
+ */
+const nameSimilarity = (a, b) => {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  const sortedA = [...tokensA].sort().join(' ');
+  const sortedB = [...tokensB].sort().join(' ');
+  return Math.max(jaccard(tokensA, tokensB), dice(sortedA, sortedB));
+};
+
+module.exports = {
+  tokenize,
+  nameSimilarity
+};
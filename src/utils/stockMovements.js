@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+
+// Error raised when a stock movement cannot be applied to an item.
+// `details` is merged into the 400 response body by the routes.
+class StockMovementError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'StockMovementError';
+    this.details = details;
+  }
+}
+
+// First-expiry-first-out: earliest expiry first, lots without an expiry last
+const sortLotsForConsumption = (lots) => [...lots].sort((a, b) => {
+  if (!a.expiryDate) return b.expiryDate ? 1 : 0;
+  if (!b.expiryDate) return -1;
+  return a.expiryDate - b.expiryDate;
+});
+
+const receiveLot = (inventory, quantity, lotNumber, expiryDate) => {
+  if (!lotNumber) {
+    throw new StockMovementError('Lot number is required for lot-tracked items');
+  }
+
+  const lot = inventory.lots.find(entry => entry.lotNumber === lotNumber);
+  if (lot) {
+    if (expiryDate && lot.expiryDate && new Date(expiryDate).getTime() !== lot.expiryDate.getTime()) {
+      throw new StockMovementError('Lot already exists with a different expiry date', {
+        lotNumber,
+        expiryDate: lot.expiryDate
+      });
+    }
+    lot.quantity += quantity;
+    if (expiryDate && !lot.expiryDate) lot.expiryDate = expiryDate;
+    return [{ lotNumber, expiryDate: lot.expiryDate, quantity }];
+  }
+
+  inventory.lots.push({ lotNumber, expiryDate, quantity });
+  return [{ lotNumber, expiryDate: inventory.lots[inventory.lots.length - 1].expiryDate, quantity }];
+};
+
+const consumeLots = (inventory, quantity, lotNumber) => {
+  let candidates;
+  if (lotNumber) {
+    const lot = inventory.lots.find(entry => entry.lotNumber === lotNumber);
+    if (!lot) {
+      throw new StockMovementError('Lot not found', { lotNumber });
+    }
+    candidates = [lot];
+  } else {
+    candidates = sortLotsForConsumption(inventory.lots);
+  }
+
+  const available = candidates.reduce((sum, lot) => sum + lot.quantity, 0);
+  if (available < quantity) {
+    throw new StockMovementError(lotNumber ? 'Insufficient stock in lot' : 'Insufficient stock in lots', {
+      lotNumber,
+      available,
+      requested: quantity
+    });
+  }
+
+  const touched = [];
+  let remaining = quantity;
+  for (const lot of candidates) {
+    if (remaining === 0) break;
+    const taken = Math.min(lot.quantity, remaining);
+    if (taken === 0) continue;
+    lot.quantity -= taken;
+    remaining -= taken;
+    touched.push({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: taken });
+  }
+
+  // Used-up lots are dropped; the transactions keep their history
+  inventory.lots = inventory.lots.filter(lot => lot.quantity > 0);
+  return touched;
+};
+
+/**
+ * Apply a check-in, check-out, adjustment, transfer or disposal to an inventory
+ * document in memory. The caller is responsible for saving the item and
+ * recording the returned movement as a Transaction.
+ *
+ * Lot-tracked items receive stock into `lotNumber` and give it out from
+ * `lotNumber` when one is named, otherwise first-expiry-first-out.
+ *
+ * `quantity` is in `unit` when one is given and is converted to the item's
+ * base unit before it is applied.
+ *
+ * Returns { quantity, previousQuantity, newQuantity, location, lots, entered }
+ * where quantity is the signed change recorded on the transaction and
+ * entered is { quantity, unit } as submitted in a non-base unit.
+ */
+const applyStockMovement = (inventory, {
+  type,
+  quantity: enteredQuantity,
+  unit,
+  location,
+  fromLocation,
+  toLocation,
+  lotNumber,
+  expiryDate
+}) => {
+  if (inventory.hasVariants) {
+    throw new StockMovementError('Stock is held on the variants of this item; choose a variant');
+  }
+  if (inventory.trackAssets) {
+    throw new StockMovementError('Stock of this item is counted from its serialized assets; use the asset actions instead');
+  }
+
+  const factor = inventory.getUnitFactor(unit);
+  if (factor === null) {
+    throw new StockMovementError('Unknown unit for this item', {
+      unit,
+      units: [inventory.unit, ...inventory.unitConversions.map(conversion => conversion.unit)]
+    });
+  }
+  const quantity = Number(enteredQuantity) * factor;
+  const entered = factor === 1 ? undefined : { quantity: Number(enteredQuantity), unit };
+
+  const locationName = inventory.resolveLocation(type === 'transfer' ? fromLocation : location);
+  if (!locationName) {
+    throw new StockMovementError('Location is required for items stocked in multiple locations', {
+      locations: inventory.locations.map(loc => loc.name)
+    });
+  }
+
+  const previousQuantity = inventory.quantity;
+  const locationQuantity = inventory.getLocationQuantity(locationName);
+  let transactionQuantity;
+  let transactionLocation;
+
+  // Calculate the change at the location based on transaction type
+  switch (type) {
+    case 'check-in':
+      transactionQuantity = quantity;
+      transactionLocation = { to: locationName };
+      break;
+    case 'check-out':
+    case 'disposal':
+      if (locationQuantity < quantity) {
+        throw new StockMovementError('Insufficient stock', {
+          location: locationName,
+          available: locationQuantity,
+          requested: quantity
+        });
+      }
+      transactionQuantity = -quantity;
+      transactionLocation = { from: locationName };
+      break;
+    case 'adjustment':
+      // Adjustments set the counted quantity at the location
+      transactionQuantity = quantity - locationQuantity;
+      transactionLocation = transactionQuantity >= 0 ? { to: locationName } : { from: locationName };
+      break;
+    case 'transfer':
+      if (toLocation === locationName) {
+        throw new StockMovementError('Source and destination locations must differ');
+      }
+      if (locationQuantity < quantity) {
+        throw new StockMovementError('Insufficient stock at source location', {
+          location: locationName,
+          available: locationQuantity,
+          requested: quantity
+        });
+      }
+      transactionQuantity = quantity;
+      transactionLocation = { from: locationName, to: toLocation };
+      break;
+    default:
+      throw new StockMovementError('Invalid transaction type');
+  }
+
+  // Transfers move stock between places, not between lots
+  let lots;
+  if (inventory.trackLots && type !== 'transfer') {
+    if (transactionQuantity > 0) {
+      lots = receiveLot(inventory, transactionQuantity, lotNumber, expiryDate);
+    } else if (transactionQuantity < 0) {
+      lots = consumeLots(inventory, -transactionQuantity, lotNumber);
+    }
+  }
+
+  if (type === 'transfer') {
+    // Stock moves between locations; the item total is unchanged
+    inventory.adjustLocationQuantity(locationName, -quantity);
+    inventory.adjustLocationQuantity(toLocation, quantity);
+  } else {
+    inventory.adjustLocationQuantity(locationName, transactionQuantity);
+  }
+
+  return {
+    quantity: transactionQuantity,
+    previousQuantity,
+    newQuantity: inventory.quantity,
+    location: transactionLocation,
+    lots,
+    entered
+  };
+};
+
+/**
+ * Check-outs and disposals may not take stock held by reservations.
+ * `reserved` is the quantity of the item still reserved once the movement is
+ * applied, not counting what a reservation being fulfilled hands out now.
+ * Call after applyStockMovement; other movement types are not restricted.
+ */
+const checkReservedStock = (inventory, type, movement, reserved) => {
+  if (!['check-out', 'disposal'].includes(type) || !reserved) return;
+  if (inventory.quantity < reserved) {
+    throw new StockMovementError('Insufficient unreserved stock', {
+      reserved,
+      available: Math.max(0, movement.previousQuantity - reserved),
+      requested: -movement.quantity
+    });
+  }
+};
+
+/**
+ * Write stock movements so that the ledger always matches the balances:
+ * `prepare()` reads the items, applies the movements in memory and returns
+ * { inventories, transactions, ... }; the items and their new Transaction
+ * documents are then saved in one MongoDB transaction. That needs a replica
+ * set, which the server checks for at startup (see utils/database).
+ *
+ * Item saves are version-checked (see the Inventory save hook), so if another
+ * request moved stock of the same item after it was read, nothing is written
+ * and `prepare()` runs again on fresh data, up to `attempts` times. A balance
+ * worked out from stale stock is never saved, so stock cannot go negative.
+ *
+ * Other documents changed by the movements (e.g. a reservation being
+ * fulfilled) can be returned as `documents` and are saved with them.
+ *
+ * `prepare()` may return a result without `transactions` (e.g. item not
+ * found) to stop without writing. Returns the result of the committed attempt.
+ */
+const commitStockMovements = async (prepare, attempts = 3) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const prepared = await prepare();
+    if (!prepared || !prepared.transactions) return prepared;
+
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        for (const inventory of new Set(prepared.inventories)) {
+          await inventory.save({ session });
+        }
+        for (const transaction of prepared.transactions) {
+          await transaction.save({ session });
+        }
+        for (const document of prepared.documents || []) {
+          await document.save({ session });
+        }
+      });
+      return prepared;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt >= attempts) throw error;
+    }
+  }
+};
+
+module.exports = {
+  StockMovementError,
+  receiveLot,
+  consumeLots,
+  applyStockMovement,
+  checkReservedStock,
+  commitStockMovements
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Root folder for uploaded files; set STORAGE_DIR in .env to move it
+const getStorageDir = () => path.resolve(process.env.STORAGE_DIR || 'storage');
+
+// Absolute path of a stored file from its key (path relative to the storage root)
+const resolveStoragePath = (storageKey) => {
+  const root = getStorageDir();
+  const fullPath = path.resolve(root, storageKey);
+  if (!fullPath.startsWith(root + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return fullPath;
+};
+
+const toStorageKey = (fullPath) => path.relative(getStorageDir(), fullPath).split(path.sep).join('/');
+
+// Remove a stored file, ignoring files that are already gone
+const removeStoredFile = async (storageKey) => {
+  try {
+    await fs.promises.unlink(resolveStoragePath(storageKey));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  getStorageDir,
+  resolveStoragePath,
+  toStorageKey,
+  removeStoredFile
+};
@@ -0,0 +1,67 @@
+// Unit names are compared without regard to case or surrounding spaces
+const sameUnit = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Number of base units in one `unit`, following chained conversions such as
+ * carton -> box -> piece. Returns null for a unit the item does not define
+ * or a chain that loops.
+ */
+const resolveUnitFactor = (baseUnit, conversions, unit) => {
+  let factor = 1;
+  let current = unit;
+  const seen = [];
+
+  while (!sameUnit(current, baseUnit)) {
+    if (seen.some(name => sameUnit(name, current))) return null;
+    seen.push(current);
+
+    const conversion = conversions.find(entry => sameUnit(entry.unit, current));
+    if (!conversion) return null;
+    factor *= conversion.factor;
+    current = conversion.of || baseUnit;
+  }
+
+  return factor;
+};
+
+// First problem with a set of conversions for an item, or null
+const findConversionError = (baseUnit, conversions) => {
+  for (const [index, conversion] of conversions.entries()) {
+    if (sameUnit(conversion.unit, baseUnit)) {
+      return `${conversion.unit} is the base unit and cannot be converted`;
+    }
+    if (conversions.findIndex(entry => sameUnit(entry.unit, conversion.unit)) !== index) {
+      return `${conversion.unit} is defined more than once`;
+    }
+    if (resolveUnitFactor(baseUnit, conversions, conversion.unit) === null) {
+      return `${conversion.unit} does not convert to ${baseUnit}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Express a base-unit quantity in another unit of the item for reports.
+ * Items that do not define the unit keep their base unit.
+ * Returns { quantity, unit, factor }.
+ */
+const convertForDisplay = (item, quantity, unit) => {
+  const factor = unit ? resolveUnitFactor(item.unit, item.unitConversions || [], unit) : null;
+  if (!factor || factor === 1) {
+    return { quantity, unit: item.unit, factor: 1 };
+  }
+
+  const conversion = (item.unitConversions || []).find(entry => sameUnit(entry.unit, unit));
+  return {
+    quantity: Math.round((quantity / factor) * 100) / 100,
+    unit: conversion ? conversion.unit : unit,
+    factor
+  };
+};
+
+module.exports = {
+  sameUnit,
+  resolveUnitFactor,
+  findConversionError,
+  convertForDisplay
+};
@@ -0,0 +1,24 @@
+const express = require('express');
+
+// Mount a router as the API would and send it one JSON request.
+// Resolves to { status, body }.
+const request = async (router, method, path, body) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/', router);
+
+  const server = app.listen(0);
+  try {
+    const { port } = server.address();
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+};
+
+module.exports = { request };
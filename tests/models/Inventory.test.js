@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Inventory = require('../../src/models/Inventory');
+
+// A document as stored before items had per-location stock
+const legacyItem = (fields) => Inventory.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Crayons',
+  unit: 'box',
+  quantity: 12,
+  ...fields
+});
+
+describe('legacy stock migration', () => {
+  test('moves stock into the old location before a lookup', () => {
+    const item = legacyItem({ location: ' Art Room ' });
+
+    expect(item.getLocationQuantity('Art Room')).toBe(12);
+    expect(item.locations.map(loc => ({ name: loc.name, quantity: loc.quantity })))
+      .toEqual([{ name: 'Art Room', quantity: 12 }]);
+  });
+
+  test('moves stock into the default location when there was none', () => {
+    const item = legacyItem({});
+
+    expect(item.resolveLocation()).toBe(Inventory.DEFAULT_LOCATION);
+    expect(item.getLocationQuantity(Inventory.DEFAULT_LOCATION)).toBe(12);
+  });
+
+  test('migrates before returning a requested location', () => {
+    const item = legacyItem({ location: 'Art Room' });
+
+    expect(item.resolveLocation('Office')).toBe('Office');
+    expect(item.getLocationQuantity('Art Room')).toBe(12);
+    expect(item.getLocationQuantity('Office')).toBe(0);
+  });
+
+  test('keeps the total when stock moves after migrating', () => {
+    const item = legacyItem({ location: 'Art Room' });
+
+    item.adjustLocationQuantity('Office', 5);
+
+    expect(item.quantity).toBe(17);
+    expect(item.getLocationQuantity('Art Room')).toBe(12);
+  });
+
+  test('leaves items with per-location stock and parents alone', () => {
+    const stocked = legacyItem({ location: 'Art Room', locations: [{ name: 'Office', quantity: 12 }] });
+    const parent = legacyItem({ hasVariants: true });
+
+    expect(stocked.getLocationQuantity('Art Room')).toBe(0);
+    parent.migrateLegacyStock();
+    expect(parent.locations).toHaveLength(0);
+  });
+});
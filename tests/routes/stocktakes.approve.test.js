@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const mockSchoolId = new mongoose.Types.ObjectId();
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../../src/middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: mockUserId, school: { _id: mockSchoolId }, permissions: { canManageTransactions: true } };
+    next();
+  },
+  adminOnly: (req, res, next) => next(),
+  checkPermission: () => (req, res, next) => next()
+}));
+
+const Stocktake = require('../../src/models/Stocktake');
+const Inventory = require('../../src/models/Inventory');
+const Transaction = require('../../src/models/Transaction');
+const router = require('../../src/routes/stocktakes');
+const { request } = require('../helpers/request');
+
+const stocktakeId = new mongoose.Types.ObjectId();
+const paperId = new mongoose.Types.ObjectId();
+const glueId = new mongoose.Types.ObjectId();
+const markerId = new mongoose.Types.ObjectId();
+const deletedId = new mongoose.Types.ObjectId();
+
+const storedStocktake = (fields = {}) => Stocktake.hydrate({
+  _id: stocktakeId,
+  name: 'Term 1 count',
+  school: mockSchoolId,
+  reference: 'ST-1',
+  status: 'counting',
+  createdBy: mockUserId,
+  __v: 3,
+  lines: [
+    { _id: new mongoose.Types.ObjectId(), inventory: paperId, name: 'A4 paper', location: 'Main Store', systemQuantity: 10, countedQuantity: 8 },
+    { _id: new mongoose.Types.ObjectId(), inventory: glueId, name: 'Glue sticks', location: 'Main Store', systemQuantity: 4, countedQuantity: 4 },
+    { _id: new mongoose.Types.ObjectId(), inventory: markerId, name: 'Markers', location: 'Main Store', systemQuantity: 6 },
+    { _id: new mongoose.Types.ObjectId(), inventory: deletedId, name: 'Old chalk', location: 'Main Store', systemQuantity: 2, countedQuantity: 0 }
+  ],
+  ...fields
+});
+
+// Paper was checked in since the count started
+const storedItems = () => [
+  Inventory.hydrate({
+    _id: paperId,
+    school: mockSchoolId,
+    name: 'A4 paper',
+    unit: 'ream',
+    quantity: 12,
+    locations: [{ name: 'Main Store', quantity: 12 }],
+    isActive: true
+  })
+];
+
+let savedTransactions;
+let savedStocktakes;
+
+beforeEach(() => {
+  savedTransactions = [];
+  savedStocktakes = [];
+  jest.spyOn(Stocktake, 'findOne').mockImplementation(async () => storedStocktake());
+  jest.spyOn(Inventory, 'find').mockImplementation(async () => storedItems());
+  jest.spyOn(Inventory.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Stocktake.prototype, 'save').mockImplementation(async function() {
+    savedStocktakes.push(this);
+    return this;
+  });
+  jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() {
+    savedTransactions.push(this);
+    return this;
+  });
+  jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn({}));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /:id/approve', () => {
+  test('posts each counted difference against current stock', async () => {
+    const { status, body } = await request(router, 'POST', `/${stocktakeId}/approve`);
+
+    expect(status).toBe(200);
+    expect(body.adjustments).toEqual([expect.objectContaining({
+      inventory: String(paperId),
+      variance: -2,
+      quantity: -2,
+      newQuantity: 10
+    })]);
+    expect(body.skipped).toEqual([expect.objectContaining({ inventory: String(deletedId), message: 'Item has been deleted' })]);
+    expect(body.summary).toMatchObject({ lines: 4, counted: 3, uncounted: 1, withVariance: 2 });
+
+    expect(savedTransactions).toHaveLength(1);
+    expect(savedTransactions[0]).toMatchObject({ type: 'adjustment', reference: 'ST-1', previousQuantity: 12, newQuantity: 10 });
+    expect(savedTransactions[0].stocktake).toEqual(stocktakeId);
+  });
+
+  test('closes the session with a version-checked save', async () => {
+    const increment = jest.spyOn(Stocktake.prototype, 'increment');
+
+    await request(router, 'POST', `/${stocktakeId}/approve`);
+
+    expect(savedStocktakes).toHaveLength(1);
+    expect(savedStocktakes[0].status).toBe('approved');
+    expect(savedStocktakes[0].approvedBy).toEqual(mockUserId);
+    expect(increment).toHaveBeenCalled();
+  });
+
+  test('refuses sessions that are no longer counting', async () => {
+    Stocktake.findOne.mockImplementation(async () => storedStocktake({ status: 'approved' }));
+
+    const { status, body } = await request(router, 'POST', `/${stocktakeId}/approve`);
+
+    expect(status).toBe(400);
+    expect(body.message).toBe('Stocktake is already approved');
+    expect(mongoose.connection.transaction).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for unknown sessions', async () => {
+    Stocktake.findOne.mockResolvedValue(null);
+
+    const { status } = await request(router, 'POST', `/${stocktakeId}/approve`);
+
+    expect(status).toBe(404);
+  });
+
+  test('answers 409 when counts keep changing under it', async () => {
+    mongoose.connection.transaction.mockRejectedValue(new mongoose.Error.VersionError(storedStocktake(), 3, []));
+
+    const { status } = await request(router, 'POST', `/${stocktakeId}/approve`);
+
+    expect(status).toBe(409);
+    expect(Stocktake.findOne).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const mockSchoolId = new mongoose.Types.ObjectId();
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../../src/middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: mockUserId, school: { _id: mockSchoolId }, permissions: { canManageTransactions: true } };
+    next();
+  },
+  adminOnly: (req, res, next) => next(),
+  checkPermission: () => (req, res, next) => next()
+}));
+
+const Inventory = require('../../src/models/Inventory');
+const Transaction = require('../../src/models/Transaction');
+const Reservation = require('../../src/models/Reservation');
+const router = require('../../src/routes/transactions');
+const { request } = require('../helpers/request');
+
+const paperId = new mongoose.Types.ObjectId();
+const glueId = new mongoose.Types.ObjectId();
+
+// Fresh copies of the stored items for every read
+const storedItems = () => [
+  Inventory.hydrate({
+    _id: paperId,
+    school: mockSchoolId,
+    name: 'A4 paper',
+    unit: 'ream',
+    quantity: 10,
+    locations: [{ name: 'Main Store', quantity: 10 }],
+    isActive: true
+  }),
+  Inventory.hydrate({
+    _id: glueId,
+    school: mockSchoolId,
+    name: 'Glue sticks',
+    unit: 'piece',
+    quantity: 4,
+    locations: [{ name: 'Main Store', quantity: 3 }, { name: 'Art Room', quantity: 1 }],
+    isActive: true
+  })
+];
+
+let savedItems;
+let savedTransactions;
+
+beforeEach(() => {
+  savedItems = [];
+  savedTransactions = [];
+  jest.spyOn(Inventory, 'find').mockImplementation(async () => storedItems());
+  jest.spyOn(Reservation, 'reservedQuantities').mockResolvedValue(new Map());
+  jest.spyOn(Inventory.prototype, 'save').mockImplementation(async function() {
+    savedItems.push(this);
+    return this;
+  });
+  jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() {
+    savedTransactions.push(this);
+    return this;
+  });
+  jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn({}));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /batch', () => {
+  test('records every line under one reference', async () => {
+    const { status, body } = await request(router, 'POST', '/batch', {
+      reference: 'DELIVERY-7',
+      lines: [
+        { type: 'check-in', inventory: String(paperId), quantity: 5 },
+        { type: 'transfer', inventory: String(glueId), quantity: 2, fromLocation: 'Main Store', toLocation: 'Art Room' },
+        { type: 'check-out', inventory: String(paperId), quantity: 3 }
+      ]
+    });
+
+    expect(status).toBe(201);
+    expect(body.reference).toBe('DELIVERY-7');
+    // Later lines see the effect of earlier ones
+    expect(body.lines.map(line => line.newQuantity)).toEqual([15, 4, 12]);
+    expect(savedTransactions).toHaveLength(3);
+    expect(savedTransactions.every(transaction => transaction.reference === 'DELIVERY-7')).toBe(true);
+    expect(savedItems).toHaveLength(2);
+    expect(body.items.find(item => item._id === String(glueId)).locations)
+      .toEqual([{ name: 'Main Store', quantity: 1 }, { name: 'Art Room', quantity: 3 }]);
+  });
+
+  test('writes nothing when any line fails', async () => {
+    const missingId = new mongoose.Types.ObjectId();
+
+    const { status, body } = await request(router, 'POST', '/batch', {
+      lines: [
+        { type: 'check-in', inventory: String(paperId), quantity: 5 },
+        { type: 'check-out', inventory: String(glueId), quantity: 2, location: 'Art Room' },
+        { type: 'check-out', inventory: String(missingId), quantity: 1 }
+      ]
+    });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe('Batch could not be applied; no changes were made');
+    expect(body.errors).toEqual([
+      expect.objectContaining({ line: 1, message: 'Insufficient stock', available: 1, requested: 2 }),
+      expect.objectContaining({ line: 2, message: 'Inventory item not found' })
+    ]);
+    expect(mongoose.connection.transaction).not.toHaveBeenCalled();
+    expect(savedItems).toHaveLength(0);
+    expect(savedTransactions).toHaveLength(0);
+  });
+
+  test('requires a destination on transfer lines', async () => {
+    const { status } = await request(router, 'POST', '/batch', {
+      lines: [
+        { type: 'check-in', inventory: String(paperId), quantity: 1 },
+        { type: 'transfer', inventory: String(glueId), quantity: 1, fromLocation: 'Main Store' }
+      ]
+    });
+
+    expect(status).toBe(400);
+    expect(Inventory.find).not.toHaveBeenCalled();
+  });
+
+  test('retries on fresh stock when an item changed meanwhile', async () => {
+    mongoose.connection.transaction
+      .mockRejectedValueOnce(new mongoose.Error.VersionError(storedItems()[0], 0, []))
+      .mockImplementation(async (fn) => fn({}));
+
+    const { status } = await request(router, 'POST', '/batch', {
+      lines: [{ type: 'check-out', inventory: String(paperId), quantity: 1 }]
+    });
+
+    expect(status).toBe(201);
+    expect(Inventory.find).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Inventory = require('../../src/models/Inventory');
+const { receiveLot, consumeLots, applyStockMovement } = require('../../src/utils/stockMovements');
+
+const makeItem = (lots) => new Inventory({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Hand sanitiser',
+  unit: 'bottle',
+  trackLots: true,
+  locations: [{ name: 'Main Store', quantity: lots.reduce((sum, lot) => sum + lot.quantity, 0) }],
+  quantity: lots.reduce((sum, lot) => sum + lot.quantity, 0),
+  lots
+});
+
+const lotsOf = (item) => item.lots.map(lot => [lot.lotNumber, lot.quantity]);
+
+describe('receiveLot', () => {
+  test('adds to an existing lot', () => {
+    const item = makeItem([{ lotNumber: 'L1', expiryDate: new Date('2027-01-31'), quantity: 4 }]);
+
+    const received = receiveLot(item, 6, 'L1');
+
+    expect(received).toEqual([{ lotNumber: 'L1', expiryDate: new Date('2027-01-31'), quantity: 6 }]);
+    expect(lotsOf(item)).toEqual([['L1', 10]]);
+  });
+
+  test('opens a new lot', () => {
+    const item = makeItem([]);
+
+    receiveLot(item, 3, 'L2', new Date('2027-06-30'));
+
+    expect(lotsOf(item)).toEqual([['L2', 3]]);
+    expect(item.lots[0].expiryDate).toEqual(new Date('2027-06-30'));
+  });
+
+  test('requires a lot number', () => {
+    expect(() => receiveLot(makeItem([]), 1)).toThrow('Lot number is required for lot-tracked items');
+  });
+
+  test('refuses a different expiry for an existing lot', () => {
+    const item = makeItem([{ lotNumber: 'L1', expiryDate: new Date('2027-01-31'), quantity: 4 }]);
+
+    expect(() => receiveLot(item, 1, 'L1', new Date('2027-02-28')))
+      .toThrow('Lot already exists with a different expiry date');
+    expect(lotsOf(item)).toEqual([['L1', 4]]);
+  });
+});
+
+describe('consumeLots', () => {
+  const stock = () => makeItem([
+    { lotNumber: 'NO-EXPIRY', quantity: 5 },
+    { lotNumber: 'LATE', expiryDate: new Date('2027-12-31'), quantity: 5 },
+    { lotNumber: 'EARLY', expiryDate: new Date('2027-03-31'), quantity: 2 }
+  ]);
+
+  test('takes the earliest expiry first and drops used-up lots', () => {
+    const item = stock();
+
+    const taken = consumeLots(item, 4);
+
+    expect(taken.map(lot => [lot.lotNumber, lot.quantity])).toEqual([['EARLY', 2], ['LATE', 2]]);
+    expect(lotsOf(item)).toEqual([['NO-EXPIRY', 5], ['LATE', 3]]);
+  });
+
+  test('takes lots without an expiry last', () => {
+    const item = stock();
+
+    const taken = consumeLots(item, 9);
+
+    expect(taken.map(lot => [lot.lotNumber, lot.quantity])).toEqual([['EARLY', 2], ['LATE', 5], ['NO-EXPIRY', 2]]);
+  });
+
+  test('takes only from a named lot', () => {
+    const item = stock();
+
+    expect(() => consumeLots(item, 6, 'LATE')).toThrow(expect.objectContaining({
+      message: 'Insufficient stock in lot',
+      details: { lotNumber: 'LATE', available: 5, requested: 6 }
+    }));
+    expect(() => consumeLots(item, 1, 'MISSING')).toThrow('Lot not found');
+    expect(lotsOf(item)).toEqual([['NO-EXPIRY', 5], ['LATE', 5], ['EARLY', 2]]);
+  });
+});
+
+describe('lot-tracked movements', () => {
+  test('check-outs record the lots they took', () => {
+    const item = makeItem([
+      { lotNumber: 'LATE', expiryDate: new Date('2027-12-31'), quantity: 5 },
+      { lotNumber: 'EARLY', expiryDate: new Date('2027-03-31'), quantity: 2 }
+    ]);
+
+    const movement = applyStockMovement(item, { type: 'check-out', quantity: 3 });
+
+    expect(movement.lots.map(lot => [lot.lotNumber, lot.quantity])).toEqual([['EARLY', 2], ['LATE', 1]]);
+    expect(movement.newQuantity).toBe(4);
+  });
+
+  test('transfers leave the lots alone', () => {
+    const item = makeItem([{ lotNumber: 'L1', quantity: 5 }]);
+
+    const movement = applyStockMovement(item, {
+      type: 'transfer',
+      quantity: 2,
+      fromLocation: 'Main Store',
+      toLocation: 'Nurse Office'
+    });
+
+    expect(movement.lots).toBeUndefined();
+    expect(lotsOf(item)).toEqual([['L1', 5]]);
+  });
+});
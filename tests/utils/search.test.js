@@ -0,0 +1,78 @@
+const { escapeRegex, relevanceScore, buildSearchFilter } = require('../../src/utils/search');
+
+const fields = (name, description = '') => [
+  { text: name, weight: 3 },
+  { text: description, weight: 1 }
+];
+
+// Whether a document with this name passes the filter built for a search
+const passesFilter = (search, name) => {
+  const filter = buildSearchFilter(search, ['name']);
+  return filter.$and.every(term => term.$or.some(condition => new RegExp(
+    condition.name.$regex,
+    condition.name.$options
+  ).test(name)));
+};
+
+describe('escapeRegex', () => {
+  test('matches special characters literally', () => {
+    const pattern = new RegExp(escapeRegex('glue (5ml) + tape*'));
+
+    expect(pattern.test('glue (5ml) + tape*')).toBe(true);
+    expect(pattern.test('glue 5ml tape')).toBe(false);
+  });
+});
+
+describe('relevanceScore', () => {
+  test('ranks exact words above prefixes and typos', () => {
+    const exact = relevanceScore('pencil', fields('Pencil HB'));
+    const prefix = relevanceScore('pen', fields('Pencil HB'));
+    const typo = relevanceScore('pencl', fields('Pencil HB'));
+
+    expect(exact).toBeGreaterThan(prefix);
+    expect(prefix).toBeGreaterThan(0);
+    expect(typo).toBeGreaterThan(0);
+  });
+
+  test('weighs name matches above description matches', () => {
+    expect(relevanceScore('glue', fields('Glue stick')))
+      .toBeGreaterThan(relevanceScore('glue', fields('Craft stick', 'Use with glue')));
+  });
+
+  test('needs every term to match somewhere', () => {
+    expect(relevanceScore('red pencil', fields('Pencil HB', 'Graphite'))).toBe(0);
+    expect(relevanceScore('red pencil', fields('Pencil', 'Red lead'))).toBeGreaterThan(0);
+  });
+
+  test('allows no typos in short terms', () => {
+    expect(relevanceScore('pem', fields('Pen'))).toBe(0);
+  });
+
+  test('is 0 for a search without terms', () => {
+    expect(relevanceScore(' -- ', fields('Pencil'))).toBe(0);
+  });
+});
+
+describe('buildSearchFilter', () => {
+  test('is null for a search without terms', () => {
+    expect(buildSearchFilter('  ', ['name'])).toBeNull();
+  });
+
+  test('requires every term in one of the paths', () => {
+    const filter = buildSearchFilter('glue stick', ['name', 'description']);
+
+    expect(filter.$and).toHaveLength(2);
+    filter.$and.forEach(term => {
+      expect(term.$or.map(condition => Object.keys(condition)[0])).toEqual(['name', 'description']);
+    });
+  });
+
+  test('lets through every name the scoring can match', () => {
+    ['Pencil HB', 'Pencils', 'pencl case', 'Coloured pencil'].forEach(name => {
+      expect(relevanceScore('pencil', fields(name)) > 0).toBe(true);
+      expect(passesFilter('pencil', name)).toBe(true);
+    });
+    expect(passesFilter('scissors', 'scisors')).toBe(true);
+    expect(passesFilter('pencil', 'Glue stick')).toBe(false);
+  });
+});
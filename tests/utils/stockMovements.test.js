@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Inventory = require('../../src/models/Inventory');
+const { applyStockMovement, checkReservedStock, StockMovementError } = require('../../src/utils/stockMovements');
+
+const makeItem = (fields = {}) => {
+  const item = new Inventory({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Glue sticks',
+    unit: 'piece',
+    locations: [{ name: 'Main Store', quantity: 10 }],
+    ...fields
+  });
+  item.quantity = item.locations.reduce((sum, loc) => sum + loc.quantity, 0);
+  return item;
+};
+
+const stockAt = (item) => Object.fromEntries(item.locations.map(loc => [loc.name, loc.quantity]));
+
+describe('applyStockMovement', () => {
+  test('checks stock in at the only location', () => {
+    const item = makeItem();
+
+    const movement = applyStockMovement(item, { type: 'check-in', quantity: 5 });
+
+    expect(movement).toMatchObject({
+      quantity: 5,
+      previousQuantity: 10,
+      newQuantity: 15,
+      location: { to: 'Main Store' }
+    });
+    expect(item.quantity).toBe(15);
+  });
+
+  test('checks stock out as a negative change', () => {
+    const item = makeItem();
+
+    const movement = applyStockMovement(item, { type: 'check-out', quantity: 4 });
+
+    expect(movement).toMatchObject({ quantity: -4, newQuantity: 6, location: { from: 'Main Store' } });
+  });
+
+  test('refuses to check out more than the location holds', () => {
+    const item = makeItem({
+      locations: [{ name: 'Main Store', quantity: 10 }, { name: 'Art Room', quantity: 3 }]
+    });
+
+    expect(() => applyStockMovement(item, { type: 'check-out', quantity: 4, location: 'Art Room' }))
+      .toThrow(expect.objectContaining({
+        message: 'Insufficient stock',
+        details: { location: 'Art Room', available: 3, requested: 4 }
+      }));
+    expect(stockAt(item)).toEqual({ 'Main Store': 10, 'Art Room': 3 });
+  });
+
+  test('needs a location for items stocked in several', () => {
+    const item = makeItem({
+      locations: [{ name: 'Main Store', quantity: 10 }, { name: 'Art Room', quantity: 3 }]
+    });
+
+    expect(() => applyStockMovement(item, { type: 'check-out', quantity: 1 }))
+      .toThrow('Location is required for items stocked in multiple locations');
+  });
+
+  test('sets the counted quantity on adjustment', () => {
+    const item = makeItem();
+
+    const movement = applyStockMovement(item, { type: 'adjustment', quantity: 7 });
+
+    expect(movement).toMatchObject({ quantity: -3, newQuantity: 7, location: { from: 'Main Store' } });
+  });
+
+  test('transfers between locations without changing the total', () => {
+    const item = makeItem();
+
+    const movement = applyStockMovement(item, {
+      type: 'transfer',
+      quantity: 4,
+      fromLocation: 'Main Store',
+      toLocation: 'Art Room'
+    });
+
+    expect(movement).toMatchObject({
+      quantity: 4,
+      previousQuantity: 10,
+      newQuantity: 10,
+      location: { from: 'Main Store', to: 'Art Room' }
+    });
+    expect(stockAt(item)).toEqual({ 'Main Store': 6, 'Art Room': 4 });
+  });
+
+  test('refuses a transfer to the same location', () => {
+    const item = makeItem();
+
+    expect(() => applyStockMovement(item, {
+      type: 'transfer',
+      quantity: 1,
+      fromLocation: 'Main Store',
+      toLocation: 'Main Store'
+    })).toThrow('Source and destination locations must differ');
+  });
+
+  test('converts quantities entered in another unit', () => {
+    const item = makeItem({ unitConversions: [{ unit: 'pack', factor: 5 }] });
+
+    const movement = applyStockMovement(item, { type: 'check-in', quantity: 2, unit: 'pack' });
+
+    expect(movement).toMatchObject({ quantity: 10, newQuantity: 20, entered: { quantity: 2, unit: 'pack' } });
+  });
+
+  test('rejects units the item does not define', () => {
+    const item = makeItem();
+
+    expect(() => applyStockMovement(item, { type: 'check-in', quantity: 1, unit: 'crate' }))
+      .toThrow(StockMovementError);
+  });
+});
+
+describe('checkReservedStock', () => {
+  const checkOut = (item, quantity) => applyStockMovement(item, { type: 'check-out', quantity });
+
+  test('lets check-outs take unreserved stock', () => {
+    const item = makeItem();
+    const movement = checkOut(item, 6);
+
+    expect(() => checkReservedStock(item, 'check-out', movement, 4)).not.toThrow();
+  });
+
+  test('refuses check-outs and disposals that dip into reserved stock', () => {
+    const item = makeItem();
+    const movement = checkOut(item, 7);
+
+    expect(() => checkReservedStock(item, 'check-out', movement, 4)).toThrow(expect.objectContaining({
+      message: 'Insufficient unreserved stock',
+      details: { reserved: 4, available: 6, requested: 7 }
+    }));
+    expect(() => checkReservedStock(item, 'disposal', movement, 4)).toThrow(StockMovementError);
+  });
+
+  test('leaves other movements and unreserved items alone', () => {
+    const item = makeItem();
+    const movement = applyStockMovement(item, { type: 'adjustment', quantity: 2 });
+
+    expect(() => checkReservedStock(item, 'adjustment', movement, 4)).not.toThrow();
+    expect(() => checkReservedStock(item, 'check-out', checkOut(item, 2), 0)).not.toThrow();
+  });
+});
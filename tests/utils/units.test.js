@@ -0,0 +1,58 @@
+const { resolveUnitFactor, findConversionError, convertForDisplay } = require('../../src/utils/units');
+
+const conversions = [
+  { unit: 'Carton', factor: 12, of: 'box' },
+  { unit: 'box', factor: 10 }
+];
+
+describe('resolveUnitFactor', () => {
+  test('is 1 for the base unit, whatever its case', () => {
+    expect(resolveUnitFactor('piece', conversions, ' Piece ')).toBe(1);
+  });
+
+  test('follows chained conversions', () => {
+    expect(resolveUnitFactor('piece', conversions, 'box')).toBe(10);
+    expect(resolveUnitFactor('piece', conversions, 'carton')).toBe(120);
+  });
+
+  test('is null for units the item does not define', () => {
+    expect(resolveUnitFactor('piece', conversions, 'pallet')).toBeNull();
+  });
+
+  test('is null for a chain that loops', () => {
+    const looping = [
+      { unit: 'box', factor: 10, of: 'carton' },
+      { unit: 'carton', factor: 12, of: 'box' }
+    ];
+
+    expect(resolveUnitFactor('piece', looping, 'box')).toBeNull();
+  });
+});
+
+describe('findConversionError', () => {
+  test('accepts conversions that lead back to the base unit', () => {
+    expect(findConversionError('piece', conversions)).toBeNull();
+  });
+
+  test('names the first broken conversion', () => {
+    expect(findConversionError('piece', [{ unit: 'piece', factor: 2 }]))
+      .toBe('piece is the base unit and cannot be converted');
+    expect(findConversionError('piece', [{ unit: 'box', factor: 10 }, { unit: 'BOX', factor: 5 }]))
+      .toBe('BOX is defined more than once');
+    expect(findConversionError('piece', [{ unit: 'crate', factor: 4, of: 'pallet' }]))
+      .toBe('crate does not convert to piece');
+  });
+});
+
+describe('convertForDisplay', () => {
+  test('expresses base quantities in a larger unit', () => {
+    const item = { unit: 'piece', unitConversions: conversions };
+
+    expect(convertForDisplay(item, 300, 'carton')).toEqual({ quantity: 2.5, unit: 'Carton', factor: 120 });
+  });
+
+  test('keeps the base unit for units the item does not define', () => {
+    expect(convertForDisplay({ unit: 'piece', unitConversions: [] }, 7, 'box'))
+      .toEqual({ quantity: 7, unit: 'piece', factor: 1 });
+  });
+});